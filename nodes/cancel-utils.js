@@ -0,0 +1,167 @@
+/**
+ * Request cancellation utilities for Node-RED Gemini nodes
+ * Tracks in-flight requests so they can be aborted when the node closes, a msg.cancel arrives or their timeout elapses
+ */
+
+// Parse a timeout in seconds, where empty values and 0 mean no timeout
+function parseTimeout(value) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+
+    const seconds = parseFloat(value);
+    if (isNaN(seconds) || seconds < 0) {
+        throw new Error(`Invalid timeout: ${value}. Must be a number of seconds`);
+    }
+    return seconds;
+}
+
+// Check that a msg.cancel value is true or names the requests to cancel, so a malformed value can't cancel everything
+function validateTarget(target) {
+    if (target === true) {
+        return;
+    }
+    if (!target || typeof target !== 'object' || (target._msgid === undefined && target.topic === undefined)) {
+        throw new Error('Invalid msg.cancel: use true to cancel every request, or an object with _msgid or topic to cancel matching ones');
+    }
+}
+
+class RequestTracker {
+    constructor() {
+        this.requests = new Set();
+    }
+
+    /**
+     * Start tracking the request for an input message
+     * @param {Object} msg - Input message, used to match msg.cancel targets
+     * @param {number|string} timeout - Timeout in seconds from the node config, overridden by msg.timeout; empty or 0 for none
+     * @returns {Object} Tracked request with the AbortSignal to pass to API calls
+     */
+    start(msg, timeout) {
+        const seconds = parseTimeout(msg.timeout !== undefined ? msg.timeout : timeout);
+        const controller = new AbortController();
+        const request = {
+            controller: controller,
+            signal: controller.signal,
+            msgid: msg._msgid,
+            topic: msg.topic,
+            timeout: seconds,
+            timer: null,
+            reason: null
+        };
+
+        // Abort the request once its timeout elapses
+        if (seconds > 0) {
+            request.timer = setTimeout(() => {
+                request.reason = 'timeout';
+                controller.abort();
+                this.requests.delete(request);
+            }, seconds * 1000);
+        }
+
+        this.requests.add(request);
+        return request;
+    }
+
+    /**
+     * Stop tracking a request once it has completed or failed
+     * @param {Object} request - Tracked request
+     */
+    finish(request) {
+        clearTimeout(request.timer);
+        this.requests.delete(request);
+    }
+
+    /**
+     * Abort the requests matching a msg.cancel value: true cancels every request,
+     * { _msgid } or { topic } only matching ones. Any other value is rejected.
+     * @param {boolean|Object} target - msg.cancel value
+     * @param {string} reason - 'cancelled' or 'close'
+     * @returns {number} Number of requests cancelled
+     */
+    cancel(target, reason = 'cancelled') {
+        validateTarget(target);
+        let count = 0;
+
+        for (const request of this.requests) {
+            if (!this.matches(request, target)) {
+                continue;
+            }
+            clearTimeout(request.timer);
+            request.reason = reason;
+            request.controller.abort();
+            this.requests.delete(request);
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Abort every request, used by close handlers
+     * @returns {number} Number of requests cancelled
+     */
+    cancelAll() {
+        return this.cancel(true, 'close');
+    }
+
+    matches(request, target) {
+        if (target === true) {
+            return true;
+        }
+        if (target._msgid !== undefined) {
+            return request.msgid === target._msgid;
+        }
+        return request.topic === target.topic;
+    }
+
+    /**
+     * Check whether a request was aborted because its node closed, in which case nothing should be sent
+     * @param {Object} request - Tracked request
+     * @returns {boolean}
+     */
+    wasClosed(request) {
+        return request.reason === 'close';
+    }
+
+    /**
+     * Build the error reported for an aborted request: code TIMEOUT if its timeout elapsed, CANCELLED otherwise
+     * @param {Object} request - Tracked request
+     * @returns {Error} Error with code TIMEOUT or CANCELLED
+     */
+    createAbortError(request) {
+        if (request.reason === 'timeout') {
+            const error = new Error(`Request timed out after ${request.timeout}s`);
+            error.code = 'TIMEOUT';
+            error.details = { reason: request.reason, timeout: request.timeout };
+            return error;
+        }
+
+        const error = new Error(request.reason === 'close' ? 'Request cancelled because the node was closed' : 'Request cancelled');
+        error.code = 'CANCELLED';
+        error.details = { reason: request.reason };
+        return error;
+    }
+
+    /**
+     * Throw the cancellation or timeout error if a request was aborted, e.g. between stream chunks
+     * @param {Object} request - Tracked request
+     */
+    throwIfAborted(request) {
+        if (request.signal.aborted) {
+            throw this.createAbortError(request);
+        }
+    }
+
+    /**
+     * Replace the error of an aborted request, which is whatever the aborted call threw, with the cancellation or timeout error
+     * @param {Object} request - Tracked request
+     * @param {Error} error - Error caught by the node
+     * @returns {Error}
+     */
+    toError(request, error) {
+        return (request && request.signal.aborted) ? this.createAbortError(request) : error;
+    }
+}
+
+module.exports = RequestTracker;
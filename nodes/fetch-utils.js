@@ -0,0 +1,189 @@
+/**
+ * Media Fetch Utility Module
+ * Downloads media from URLs with redirect following, a size cap, idle and total timeouts and custom headers
+ */
+
+const http = require('http');
+const https = require('https');
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const DEFAULT_TOTAL_TIMEOUT_SECONDS = 300;
+
+// Content types that say nothing about the media, so the caller detects the type instead
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/binary'];
+
+function createFetchError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function getContentType(response) {
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return contentType && !GENERIC_CONTENT_TYPES.includes(contentType) ? contentType : null;
+}
+
+// Drop credentials when a redirect leaves the origin they were meant for
+function redirectHeaders(headers, from, to) {
+    if (from.origin === to.origin) {
+        return headers;
+    }
+
+    const kept = {};
+    Object.keys(headers).forEach(name => {
+        if (!['authorization', 'cookie', 'proxy-authorization'].includes(name.toLowerCase())) {
+            kept[name] = headers[name];
+        }
+    });
+    return kept;
+}
+
+function request(url, headers, options, redirects) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+
+        const req = client.get(url, { headers: headers, signal: options.signal }, (response) => {
+            const status = response.statusCode;
+
+            // Follow redirects to their target, resolving relative locations
+            if (status >= 300 && status < 400 && response.headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(createFetchError(`Too many redirects fetching ${url.href}`, 'FETCH_FAILED', { url: url.href, status: status }));
+                    return;
+                }
+
+                let target;
+                try {
+                    target = new URL(response.headers.location, url);
+                } catch (error) {
+                    reject(createFetchError(`Invalid redirect location from ${url.href}`, 'FETCH_FAILED', { url: url.href, status: status }));
+                    return;
+                }
+                if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+                    reject(createFetchError(`Redirect to unsupported protocol ${target.protocol}`, 'FETCH_FAILED', { url: url.href, status: status }));
+                    return;
+                }
+
+                resolve(request(target, redirectHeaders(headers, url, target), options, redirects + 1));
+                return;
+            }
+
+            if (status < 200 || status >= 300) {
+                response.resume();
+                reject(createFetchError(`HTTP ${status}: ${response.statusMessage}`, 'FETCH_FAILED', { url: url.href, status: status }));
+                return;
+            }
+
+            const tooLarge = () => createFetchError(
+                `Download from ${url.href} exceeds the maximum size of ${formatSize(options.maxBytes)}`,
+                'FETCH_TOO_LARGE',
+                { url: url.href, maxBytes: options.maxBytes }
+            );
+
+            // Reject oversized downloads up front when the server announces the size
+            const contentLength = parseInt(response.headers['content-length']);
+            if (contentLength > options.maxBytes) {
+                response.destroy();
+                reject(tooLarge());
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > options.maxBytes) {
+                    response.destroy();
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                resolve({
+                    data: Buffer.concat(chunks),
+                    mimeType: getContentType(response),
+                    url: url.href
+                });
+            });
+            response.on('error', reject);
+        });
+
+        // Give up when the connection stays idle too long
+        req.setTimeout(options.timeout * 1000, () => {
+            req.destroy(createFetchError(`Timed out after ${options.timeout}s without data from ${url.href}`, 'TIMEOUT', { url: url.href, timeout: options.timeout }));
+        });
+
+        // Give up when the whole download, redirects included, takes too long, however steadily the server trickles data
+        const deadline = setTimeout(() => {
+            req.destroy(createFetchError(`Timed out after ${options.totalTimeout}s downloading ${url.href}`, 'TIMEOUT', { url: url.href, totalTimeout: options.totalTimeout }));
+        }, Math.max(options.deadline - Date.now(), 0));
+        req.on('close', () => clearTimeout(deadline));
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    /**
+     * Download media from an HTTP(S) URL
+     *
+     * @param {string} url - URL to fetch
+     * @param {Object} options - { headers, maxBytes (default 100 MB), timeout: idle timeout in seconds (default 30),
+     *                            totalTimeout: time allowed for the whole download in seconds (default 300), signal (AbortSignal) }
+     * @returns {Promise<Object>} { data: Buffer, mimeType: response Content-Type or null, url: final URL after redirects }
+     */
+    fetch: async function(url, options = {}) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw createFetchError(`Invalid URL: ${url}`, 'FETCH_FAILED', { url: url });
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw createFetchError(`Unsupported protocol ${parsed.protocol} in ${url}`, 'FETCH_FAILED', { url: url });
+        }
+
+        const maxBytes = parseFloat(options.maxBytes) || DEFAULT_MAX_BYTES;
+        const timeout = parseFloat(options.timeout) || DEFAULT_TIMEOUT_SECONDS;
+        const totalTimeout = parseFloat(options.totalTimeout) || DEFAULT_TOTAL_TIMEOUT_SECONDS;
+
+        return request(parsed, options.headers || {}, {
+            maxBytes: maxBytes,
+            timeout: timeout,
+            totalTimeout: totalTimeout,
+            deadline: Date.now() + totalTimeout * 1000,
+            signal: options.signal
+        }, 0);
+    },
+
+    /**
+     * Parse request headers configured as an object or a JSON string
+     *
+     * @param {Object|string} headers - Headers object or JSON string
+     * @returns {Object} Headers object (empty if none were configured)
+     */
+    parseHeaders: function(headers) {
+        if (!headers) {
+            return {};
+        }
+        if (typeof headers === 'string') {
+            try {
+                headers = JSON.parse(headers);
+            } catch (error) {
+                throw new Error(`Invalid headers JSON: ${error.message}`);
+            }
+        }
+        if (typeof headers !== 'object' || Array.isArray(headers)) {
+            throw new Error('Headers must be an object of header names and values');
+        }
+        return headers;
+    }
+};
@@ -0,0 +1,264 @@
+/**
+ * Response Format Utility Module
+ * Post-processes model responses: code fence stripping, JSON extraction and Markdown conversion
+ */
+
+// Opening or closing line of a fenced code block, e.g. ```json
+const FENCE_LINE = /^[ \t]*(```|~~~)[\w+.-]*[ \t]*$/;
+
+// Link targets allowed in generated HTML; anything else (javascript:, data:) is dropped
+const SAFE_URL = /^(https?:|mailto:|\/|#|\.)/i;
+
+const IMAGE = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+const LINK = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Inline emphasis and its HTML tag. Underscores only count at word boundaries, so snake_case names survive
+const EMPHASIS = [
+    [/(^|[^*])\*\*(?=\S)(.*?\S)\*\*/g, 'strong'],
+    [/(^|\W)__(?=\S)(.*?\S)__(?!\w)/g, 'strong'],
+    [/(^|[^*])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, 'em'],
+    [/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, 'em'],
+    [/(^|[^~])~~(?=\S)(.*?\S)~~/g, 'del']
+];
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Find the end of the JSON value opening at start, skipping brackets inside strings
+function findJsonEnd(text, start) {
+    const stack = [];
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) {
+                return -1;
+            }
+            if (stack.length === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+// Convert inline Markdown (code, images, links, emphasis) to HTML or plain text
+function convertInline(text, html) {
+    // Code spans are set aside first so their contents aren't formatted
+    const codeSpans = [];
+    let result = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(html ? `<code>${escapeHtml(code)}</code>` : code);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    if (html) {
+        result = escapeHtml(result)
+            .replace(IMAGE, (match, alt, url) => SAFE_URL.test(url) ? `<img src="${url}" alt="${alt}">` : alt)
+            .replace(LINK, (match, label, url) => SAFE_URL.test(url) ? `<a href="${url}">${label}</a>` : label);
+    } else {
+        result = result
+            .replace(IMAGE, '$1')
+            .replace(LINK, (match, label, url) => label === url ? url : `${label} (${url})`);
+    }
+
+    EMPHASIS.forEach(([pattern, tag]) => {
+        result = result.replace(pattern, (match, before, content) => html ? `${before}<${tag}>${content}</${tag}>` : before + content);
+    });
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Split Markdown into blocks: code, heading, rule, quote, list, table and paragraph
+function parseBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isListItem = (line) => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+    const isTableSeparator = (line) => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+        } else if (FENCE_LINE.test(line)) {
+            const marker = line.trim().slice(0, 3);
+            const language = line.trim().slice(3).trim();
+            const code = [];
+            i++;
+            while (i < lines.length && lines[i].trim() !== marker) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', language: language, text: code.join('\n') });
+        } else if (/^#{1,6}\s+/.test(line)) {
+            const match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+            i++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', text: quote.join('\n') });
+        } else if (isListItem(line)) {
+            const ordered = /^\s*\d+[.)]/.test(line);
+            const items = [];
+            while (i < lines.length && (isListItem(lines[i]) || (items.length > 0 && /^\s{2,}\S/.test(lines[i])))) {
+                if (isListItem(lines[i])) {
+                    items.push(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+                } else {
+                    items[items.length - 1] += ' ' + lines[i].trim();
+                }
+                i++;
+            }
+            blocks.push({ type: 'list', ordered: ordered, items: items });
+        } else if (line.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            blocks.push({ type: 'table', header: header, rows: rows });
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !FENCE_LINE.test(lines[i]) && !/^#{1,6}\s+/.test(lines[i]) && !/^\s*>/.test(lines[i]) && !isListItem(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+        }
+    }
+
+    return blocks;
+}
+
+module.exports = {
+    /**
+     * Remove Markdown code fence lines (```json ... ```), keeping the code and any text around it
+     *
+     * @param {string} text - Response text
+     * @returns {string} Text without fence lines
+     */
+    stripCodeFences: function(text) {
+        return text.split('\n').filter(line => !FENCE_LINE.test(line)).join('\n').trim();
+    },
+
+    /**
+     * Extract and parse the first JSON object or array in a text, ignoring any text around it
+     *
+     * @param {string} text - Response text
+     * @returns {Object|Array} Parsed JSON value
+     * @throws {Error} With code NO_JSON_FOUND if the text contains no valid JSON object or array
+     */
+    extractJson: function(text) {
+        let start = text.search(/[{[]/);
+        while (start !== -1) {
+            const end = findJsonEnd(text, start);
+            if (end !== -1) {
+                try {
+                    return JSON.parse(text.slice(start, end + 1));
+                } catch (e) {
+                    // Not JSON after all, e.g. [a note] in prose - keep looking
+                }
+            }
+
+            const next = text.slice(start + 1).search(/[{[]/);
+            start = next === -1 ? -1 : start + 1 + next;
+        }
+
+        const error = new Error('No JSON object or array found in the response');
+        error.code = 'NO_JSON_FOUND';
+        error.details = { text: text };
+        throw error;
+    },
+
+    /**
+     * Convert Markdown to HTML. Covers headings, paragraphs, emphasis, code, links, images,
+     * lists, block quotes, tables and rules; raw HTML in the Markdown is escaped
+     *
+     * @param {string} markdown - Markdown text
+     * @returns {string} HTML
+     */
+    markdownToHtml: function(markdown) {
+        return parseBlocks(markdown).map(block => {
+            switch (block.type) {
+                case 'code':
+                    return `<pre><code${block.language ? ` class="language-${escapeHtml(block.language)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+                case 'heading':
+                    return `<h${block.level}>${convertInline(block.text, true)}</h${block.level}>`;
+                case 'rule':
+                    return '<hr>';
+                case 'quote':
+                    return `<blockquote>${module.exports.markdownToHtml(block.text)}</blockquote>`;
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    return `<${tag}>${block.items.map(item => `<li>${convertInline(item, true)}</li>`).join('')}</${tag}>`;
+                }
+                case 'table': {
+                    const head = block.header.map(cell => `<th>${convertInline(cell, true)}</th>`).join('');
+                    const body = block.rows.map(row => `<tr>${row.map(cell => `<td>${convertInline(cell, true)}</td>`).join('')}</tr>`).join('');
+                    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+                }
+                default:
+                    return `<p>${convertInline(block.text, true).replace(/\n/g, '<br>')}</p>`;
+            }
+        }).join('\n');
+    },
+
+    /**
+     * Convert Markdown to plain text, dropping formatting marks but keeping list markers,
+     * link targets and code
+     *
+     * @param {string} markdown - Markdown text
+     * @returns {string} Plain text
+     */
+    markdownToText: function(markdown) {
+        return parseBlocks(markdown).map(block => {
+            switch (block.type) {
+                case 'code':
+                    return block.text;
+                case 'heading':
+                    return convertInline(block.text, false);
+                case 'rule':
+                    return '';
+                case 'quote':
+                    return module.exports.markdownToText(block.text);
+                case 'list':
+                    return block.items.map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${convertInline(item, false)}`).join('\n');
+                case 'table':
+                    return [block.header, ...block.rows].map(row => row.map(cell => convertInline(cell, false)).join(' | ')).join('\n');
+                default:
+                    return convertInline(block.text, false);
+            }
+        }).filter(text => text !== '').join('\n\n');
+    }
+};
@@ -4,9 +4,12 @@ module.exports = function(RED) {
     const { GoogleGenAI } = require('@google/genai');
     const fs = require('fs');
     const path = require('path');
-    const { renderTemplate } = require('./template-utils');
+    const { renderTemplate, evaluateExpression } = require('./template-utils');
     const NodeStatus = require('./status-utils');
     const SafetyUtils = require('./safety-utils');
+    const UploadUtils = require('./upload-utils');
+    const MimeUtils = require('./mime-utils');
+    const RequestTracker = require('./cancel-utils');
 
     // Helper function to read file from filesystem
     async function readFromFile(filePath) {
@@ -71,6 +74,15 @@ module.exports = function(RED) {
         // Get the API key config node
         this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
 
+        // Get the optional context cache config node
+        this.cacheConfig = config.cache ? RED.nodes.getNode(config.cache) : null;
+
+        // Get the optional prompt library config node
+        this.promptConfig = config.promptLibrary ? RED.nodes.getNode(config.promptLibrary) : null;
+
+        // In-flight requests, aborted on close, by msg.cancel or when their timeout elapses
+        this.requests = new RequestTracker();
+
         this.on('input', async function(msg, send, done) {
             // Use send and done for Node-RED 1.0+ compatibility
             send = send || function() { node.send.apply(node, arguments); };
@@ -81,8 +93,42 @@ module.exports = function(RED) {
 
             // Initialize variables that may be referenced in error handler
             let model = null;
+            let tracked = null;
 
             try {
+                // Cancel messages abort running requests - all of them, or those matching msg.cancel._msgid or msg.cancel.topic
+                if (msg.cancel) {
+                    const cancelled = node.requests.cancel(msg.cancel);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', { cancelled: cancelled });
+
+                    status.setSuccess(config.model, `cancelled ${cancelled}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
+
+                // Cache control messages manage the configured context cache without analyzing audio
+                if (msg.cache && typeof msg.cache === 'object' && msg.cache.action) {
+                    if (!node.cacheConfig) {
+                        throw new Error('No context cache configured on this node');
+                    }
+
+                    status.setProgress(node.cacheConfig.model, `cache ${msg.cache.action}`);
+                    const cacheResult = await node.cacheConfig.handleAction(msg.cache.action);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', cacheResult);
+
+                    status.setSuccess(node.cacheConfig.model, `cache ${msg.cache.action}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
+
                 // Validate API key
                 if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
                     throw new Error('API key not configured. Please configure a Gemini API Key.');
@@ -90,6 +136,9 @@ module.exports = function(RED) {
 
                 const apiKey = node.apiKeyConfig.credentials.apikey;
 
+                // Track the request so it can be cancelled or time out
+                tracked = node.requests.start(msg, config.timeout);
+
                 // Resolve model
                 model = config.model || 'gemini-2.5-flash';
                 if (msg.model) {
@@ -100,17 +149,28 @@ module.exports = function(RED) {
                     throw new Error('Model not specified');
                 }
 
-                // Resolve prompt text
+                // Select the prompt library version; the version used is returned in msg.promptVersion
+                const promptVersion = node.promptConfig ? node.promptConfig.getVersion(msg.promptVersion) : null;
+                if (promptVersion) {
+                    msg = {...msg, promptVersion: promptVersion.version};
+                }
+                const settings = promptVersion ? promptVersion.settings : {};
+
+                // Resolve prompt text - a prompt library template replaces the configured prompt
                 let prompt = '';
-                if (config.promptType === 'str') {
+                if (promptVersion && promptVersion.template) {
+                    prompt = renderTemplate(promptVersion.template, msg, 'prompt template', node, RED);
+                } else if (config.promptType === 'str') {
                     // Apply Mustache templating for string prompts
-                    prompt = renderTemplate(config.prompt, msg, 'prompt');
+                    prompt = renderTemplate(config.prompt, msg, 'prompt', node, RED);
                 } else if (config.promptType === 'msg') {
                     prompt = msg[config.prompt] || msg.payload;
                 } else if (config.promptType === 'flow') {
                     prompt = node.context().flow.get(config.prompt);
                 } else if (config.promptType === 'global') {
                     prompt = node.context().global.get(config.prompt);
+                } else if (config.promptType === 'jsonata') {
+                    prompt = await evaluateExpression(RED, config.prompt, msg, 'prompt', node);
                 }
 
                 // Fallback to default prompt if none provided
@@ -118,21 +178,41 @@ module.exports = function(RED) {
                     prompt = "Please analyze this audio and provide a detailed description of what you hear.";
                 }
 
-                // Resolve system instruction
+                // Resolve system instruction - a prompt library system instruction replaces the configured one
                 let systemInstruction = null;
-                if (config.systemInstructionType === 'str' && config.systemInstruction) {
+                if (promptVersion && promptVersion.systemInstruction) {
+                    systemInstruction = renderTemplate(promptVersion.systemInstruction, msg, 'prompt library system instruction', node, RED);
+                } else if (config.systemInstructionType === 'str' && config.systemInstruction) {
                     // Apply Mustache templating for string system instructions
-                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction');
+                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction', node, RED);
                 } else if (config.systemInstructionType === 'msg') {
                     systemInstruction = msg[config.systemInstruction];
                 } else if (config.systemInstructionType === 'flow') {
                     systemInstruction = node.context().flow.get(config.systemInstruction);
                 } else if (config.systemInstructionType === 'global') {
                     systemInstruction = node.context().global.get(config.systemInstruction);
+                } else if (config.systemInstructionType === 'jsonata') {
+                    systemInstruction = await evaluateExpression(RED, config.systemInstruction, msg, 'system instruction', node);
                 } else if (msg.systemInstruction) {
                     systemInstruction = msg.systemInstruction;
                 }
 
+                // Resolve context cache - msg.cachedContent names an existing cache directly
+                let cachedContent = null;
+                if (msg.cachedContent) {
+                    cachedContent = msg.cachedContent;
+                } else if (node.cacheConfig) {
+                    if (node.cacheConfig.model && node.cacheConfig.model.replace(/^models\//, '') !== model.replace(/^models\//, '')) {
+                        throw new Error(`Context cache was created for model '${node.cacheConfig.model}' but this request uses '${model}'`);
+                    }
+                    status.setProgress(model, 'preparing cache');
+                    cachedContent = await node.cacheConfig.getCacheName();
+                }
+
+                if (cachedContent && systemInstruction) {
+                    throw new Error('System instruction cannot be set on a request that uses a context cache. Put it in the cache instead.');
+                }
+
                 // Initialize Google Generative AI
                 const genAI = new GoogleGenAI({apiKey: apiKey});
 
@@ -160,13 +240,13 @@ module.exports = function(RED) {
                         audioFilePath = node.context().global.get(config.audioFile);
                     } else if (config.audioFileType === 'str') {
                         // Apply Mustache templating for string file paths
-                        audioFilePath = renderTemplate(config.audioFile, msg, 'audio file path');
+                        audioFilePath = renderTemplate(config.audioFile, msg, 'audio file path', node, RED);
                     }
 
                     if (audioFilePath && audioFilePath.trim()) {
                         try {
                             const fileBuffer = await readFromFile(audioFilePath);
-                            const mimeType = getMimeType(audioFilePath);
+                            const mimeType = MimeUtils.resolve(fileBuffer, null, getMimeType(audioFilePath));
                             const audioData = fileBuffer.toString('base64');
                             
                             contentParts.push({
@@ -198,12 +278,12 @@ module.exports = function(RED) {
                         } else {
                             // Assume it's already base64
                             audioData = msg.audioData.replace(/^data:[^;]+;base64,/, '');
-                            mimeType = msg.audioMimeType || 'audio/wav';
+                            mimeType = MimeUtils.resolve(audioData, msg.audioMimeType, 'audio/wav');
                         }
                     } else if (Buffer.isBuffer(msg.audioData)) {
                         // Buffer format
                         audioData = msg.audioData.toString('base64');
-                        mimeType = msg.audioMimeType || 'audio/wav';
+                        mimeType = MimeUtils.resolve(msg.audioData, msg.audioMimeType, 'audio/wav');
                     } else {
                         throw new Error('Invalid audio data format. Expected string (base64/data URL) or Buffer.');
                     }
@@ -225,15 +305,15 @@ module.exports = function(RED) {
                             // File path - read the file
                             try {
                                 const fileBuffer = await readFromFile(audioFile);
-                                mimeType = getMimeType(audioFile);
+                                mimeType = MimeUtils.resolve(fileBuffer, null, getMimeType(audioFile));
                                 audioData = fileBuffer.toString('base64');
                             } catch (error) {
                                 throw new Error(`Failed to read audio file '${audioFile}': ${error.message}`);
                             }
-                        } else if (audioFile.data && audioFile.mimeType) {
-                            // Audio object with data and mimeType
-                            audioData = audioFile.data;
-                            mimeType = audioFile.mimeType;
+                        } else if (audioFile && audioFile.data) {
+                            // Audio object with data (Buffer or base64) and an optional mimeType
+                            audioData = Buffer.isBuffer(audioFile.data) ? audioFile.data.toString('base64') : audioFile.data;
+                            mimeType = MimeUtils.resolve(audioData, audioFile.mimeType, 'audio/wav');
                         } else {
                             throw new Error('Invalid audio file format in audioFiles array');
                         }
@@ -254,13 +334,22 @@ module.exports = function(RED) {
                 // Add text prompt after audio
                 contentParts.push({ text: prompt });
 
+                // Long recordings go through the Files API instead of inline base64
+                const uploadedParts = await UploadUtils.uploadLargeParts(genAI, apiKey, contentParts, {
+                    mode: config.uploadMode,
+                    threshold: config.uploadThreshold,
+                    signal: tracked.signal,
+                    onUpload: count => status.setProgress(model, 'uploading audio', { count: count })
+                });
+
                 // Debug: Log the content parts structure
                 node.log(`Processing ${contentParts.length - 1} audio file(s) with prompt: "${prompt}"`);
 
-                // Build API request
+                // Build API request - the SDK only reads generation settings, system instruction and safety settings from config
                 const request = {
                     model: model,
-                    contents: [{ parts: contentParts }]
+                    contents: [{ parts: uploadedParts }],
+                    config: { abortSignal: tracked.signal }
                 };
                 
                 // Add generation configuration parameters
@@ -276,6 +365,8 @@ module.exports = function(RED) {
                     temperature = node.context().global.get(config.temperature);
                 } else if (msg.temperature !== undefined) {
                     temperature = msg.temperature;
+                } else if (settings.temperature !== undefined) {
+                    temperature = settings.temperature;
                 }
                 
                 if (temperature !== undefined && temperature !== null && temperature !== '') {
@@ -292,6 +383,8 @@ module.exports = function(RED) {
                     topP = node.context().global.get(config.topP);
                 } else if (msg.topP !== undefined) {
                     topP = msg.topP;
+                } else if (settings.topP !== undefined) {
+                    topP = settings.topP;
                 }
                 
                 if (topP !== undefined && topP !== null && topP !== '') {
@@ -308,6 +401,8 @@ module.exports = function(RED) {
                     topK = node.context().global.get(config.topK);
                 } else if (msg.topK !== undefined) {
                     topK = msg.topK;
+                } else if (settings.topK !== undefined) {
+                    topK = settings.topK;
                 }
                 
                 if (topK !== undefined && topK !== null && topK !== '') {
@@ -324,25 +419,56 @@ module.exports = function(RED) {
                     maxOutputTokens = node.context().global.get(config.maxOutputTokens);
                 } else if (msg.maxOutputTokens !== undefined) {
                     maxOutputTokens = msg.maxOutputTokens;
+                } else if (settings.maxOutputTokens !== undefined) {
+                    maxOutputTokens = settings.maxOutputTokens;
                 }
                 
                 if (maxOutputTokens !== undefined && maxOutputTokens !== null && maxOutputTokens !== '') {
                     generationConfig.maxOutputTokens = parseInt(maxOutputTokens);
                 }
                 
-                if (Object.keys(generationConfig).length > 0) {
-                    request.generationConfig = generationConfig;
-                }
+                Object.assign(request.config, generationConfig);
                 
                 // Add system instruction if provided
                 if (systemInstruction) {
-                    request.systemInstruction = {
+                    request.config.systemInstruction = {
                         parts: [{ text: systemInstruction }]
                     };
                 }
                 
                 // Add safety settings using shared utility
-                SafetyUtils.addSafetySettings(request, config);
+                SafetyUtils.addSafetySettings(request.config, config);
+
+                // Add context cache reference
+                if (cachedContent) {
+                    request.config.cachedContent = cachedContent;
+                }
+
+                // Count tokens before sending and reject requests over the input token budget
+                let tokenCount = null;
+                const budget = msg.tokenBudget !== undefined ? msg.tokenBudget : settings.tokenBudget;
+                const tokenBudget = parseInt(budget !== undefined ? budget : config.tokenBudget) || 0;
+                if (config.countTokens || tokenBudget > 0) {
+                    status.setProgress(model, 'counting tokens');
+
+                    // The Gemini API only counts contents, so the system instruction is counted as an extra turn
+                    const countContents = systemInstruction ? [{ role: 'user', parts: [{ text: systemInstruction }] }, ...request.contents] : request.contents;
+                    const countResult = await genAI.models.countTokens({
+                        model: model,
+                        contents: countContents,
+                        config: { abortSignal: tracked.signal }
+                    });
+                    tokenCount = countResult.totalTokens || 0;
+
+                    if (tokenBudget > 0 && tokenCount > tokenBudget) {
+                        const error = new Error(`Request has ${tokenCount} input tokens, exceeding the budget of ${tokenBudget}`);
+                        error.code = 'TOKEN_BUDGET_EXCEEDED';
+                        error.details = { tokenCount: tokenCount, tokenBudget: tokenBudget };
+                        throw error;
+                    }
+
+                    status.setMultimodalStatus(model, { audioCount: audioFileCount });
+                }
 
                 const result = await genAI.models.generateContent(request);
 
@@ -376,7 +502,7 @@ module.exports = function(RED) {
                             saveDirectory = node.context().global.get(config.saveDirectory);
                         } else if (config.saveDirType === 'str' && config.saveDirectory) {
                             // Apply Mustache templating for string save directory
-                            saveDirectory = renderTemplate(config.saveDirectory, msg, 'save directory');
+                            saveDirectory = renderTemplate(config.saveDirectory, msg, 'save directory', node, RED);
                         } else if (msg.saveDirectory) {
                             saveDirectory = msg.saveDirectory;
                         }
@@ -387,6 +513,11 @@ module.exports = function(RED) {
                         // Always preserve incoming message properties
                         let successMsg = {...msg};
 
+                        // Input token count from the preflight check
+                        if (tokenCount !== null) {
+                            successMsg.tokenCount = tokenCount;
+                        }
+
                         // Add additional metadata properties if passthrough is enabled
                         if (config.passthroughProperties) {
                             successMsg.model = model;
@@ -419,6 +550,11 @@ module.exports = function(RED) {
                     // Always preserve incoming message properties
                     let successMsg = {...msg};
 
+                    // Input token count from the preflight check
+                    if (tokenCount !== null) {
+                        successMsg.tokenCount = tokenCount;
+                    }
+
                     // Add additional metadata properties if passthrough is enabled
                     if (config.passthroughProperties) {
                         successMsg.model = model;
@@ -440,6 +576,15 @@ module.exports = function(RED) {
                 }
 
             } catch (error) {
+                // Nothing is sent for requests aborted because the node closed
+                if (tracked && node.requests.wasClosed(tracked)) {
+                    done();
+                    return;
+                }
+
+                // Aborted calls fail with whatever the SDK throws, so report them as cancelled or timed out
+                error = node.requests.toError(tracked, error);
+
                 // Prepare error response
                 const errorMsg = {
                     ...msg,
@@ -462,11 +607,17 @@ module.exports = function(RED) {
                 // Route to second output port
                 send([null, errorMsg]);
                 done();
+            } finally {
+                if (tracked) {
+                    node.requests.finish(tracked);
+                }
             }
         });
 
         // Clear status when node is being destroyed
         this.on('close', function() {
+            // Abort running requests
+            node.requests.cancelAll();
             node.status({});
         });
     }
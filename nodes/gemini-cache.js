@@ -0,0 +1,229 @@
+module.exports = function(RED) {
+    "use strict";
+
+    const { GoogleGenAI } = require('@google/genai');
+    const fs = require('fs');
+    const path = require('path');
+    const MimeUtils = require('./mime-utils');
+
+    // Helper function to get MIME type of a cached document from its file extension, or null for unknown extensions
+    function getMimeType(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const mimeTypes = {
+            '.pdf': 'application/pdf',
+            '.txt': 'text/plain',
+            '.md': 'text/markdown',
+            '.html': 'text/html',
+            '.htm': 'text/html',
+            '.csv': 'text/csv',
+            '.json': 'application/json',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.png': 'image/png',
+            '.webp': 'image/webp',
+            '.mp3': 'audio/mp3',
+            '.wav': 'audio/wav',
+            '.mp4': 'video/mp4'
+        };
+        return mimeTypes[ext] || null;
+    }
+
+    function GeminiCacheNode(config) {
+        RED.nodes.createNode(this, config);
+        var node = this;
+
+        this.name = config.name;
+        this.model = config.model;
+        this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
+
+        // Current cached content ({ name, expireTime, ... }) and any creation in progress
+        this.cachedContent = null;
+        this.pendingCreate = null;
+
+        function getClient() {
+            if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
+                throw new Error('Cache API key not configured. Please configure a Gemini API Key on the cache node.');
+            }
+            return new GoogleGenAI({apiKey: node.apiKeyConfig.credentials.apikey});
+        }
+
+        function getTtl() {
+            return `${parseInt(config.ttl) || 3600}s`;
+        }
+
+        // Build cache contents from the configured text and document files
+        async function buildContents() {
+            let items = [];
+            if (config.contentsData) {
+                try {
+                    items = JSON.parse(config.contentsData);
+                } catch (e) {
+                    throw new Error(`Invalid cache contents: ${e.message}`);
+                }
+            }
+
+            const parts = [];
+            for (const item of items) {
+                if (item.type === 'text') {
+                    parts.push({ text: item.value });
+                } else if (item.type === 'file') {
+                    let data;
+                    try {
+                        data = await fs.promises.readFile(item.value);
+                    } catch (error) {
+                        throw new Error(`Failed to read cache file '${item.value}': ${error.message}`);
+                    }
+                    const mimeType = MimeUtils.resolve(data, null, getMimeType(item.value));
+                    if (!mimeType) {
+                        throw new Error(`Unknown type of cache file '${item.value}'. Use a file with a known extension, such as .pdf, .txt or .png`);
+                    }
+                    parts.push({
+                        inlineData: {
+                            data: data.toString('base64'),
+                            mimeType: mimeType
+                        }
+                    });
+                }
+            }
+
+            return parts.length > 0 ? [{ role: 'user', parts: parts }] : [];
+        }
+
+        function isUsable(cachedContent) {
+            // Treat caches expiring within a minute as expired so requests don't race the expiry
+            return cachedContent && (!cachedContent.expireTime || new Date(cachedContent.expireTime).getTime() - Date.now() > 60000);
+        }
+
+        /**
+         * Create the cached content, replacing any previous one held by this node
+         * @returns {Promise<Object>} Cached content metadata
+         */
+        this.create = async function() {
+            const genAI = getClient();
+
+            if (!node.model) {
+                throw new Error('Cache model not specified');
+            }
+
+            const cacheConfig = {
+                displayName: node.name || `node-red-${node.id}`,
+                ttl: getTtl()
+            };
+
+            const contents = await buildContents();
+            if (contents.length > 0) {
+                cacheConfig.contents = contents;
+            }
+
+            if (config.systemInstruction) {
+                cacheConfig.systemInstruction = {
+                    parts: [{ text: config.systemInstruction }]
+                };
+            }
+
+            // Delete the cache being replaced, so repeated creates don't leave billed caches behind until their TTL runs out.
+            // Expired caches are already gone from the server
+            const previous = node.cachedContent;
+            if (previous && (!previous.expireTime || new Date(previous.expireTime).getTime() > Date.now())) {
+                await node.delete().catch(error => node.warn(`Failed to delete replaced cached content ${previous.name}: ${error.message}`));
+            }
+
+            node.cachedContent = await genAI.caches.create({
+                model: node.model,
+                config: cacheConfig
+            });
+            node.log(`Created cached content ${node.cachedContent.name}`);
+
+            return node.cachedContent;
+        };
+
+        /**
+         * Extend the TTL of the cached content, creating it if it doesn't exist yet
+         * @returns {Promise<Object>} Cached content metadata
+         */
+        this.refresh = async function() {
+            if (!isUsable(node.cachedContent)) {
+                return node.create();
+            }
+
+            const genAI = getClient();
+            node.cachedContent = await genAI.caches.update({
+                name: node.cachedContent.name,
+                config: { ttl: getTtl() }
+            });
+
+            return node.cachedContent;
+        };
+
+        /**
+         * Delete the cached content if this node created one
+         * @returns {Promise<Object>} Deleted cache name
+         */
+        this.delete = async function() {
+            if (!node.cachedContent) {
+                return { name: null, deleted: false };
+            }
+
+            const name = node.cachedContent.name;
+            const genAI = getClient();
+            await genAI.caches.delete({ name: name });
+            node.cachedContent = null;
+            node.log(`Deleted cached content ${name}`);
+
+            return { name: name, deleted: true };
+        };
+
+        /**
+         * Get the name of a usable cache, creating or refreshing it as needed.
+         * Concurrent callers share a single creation request.
+         * @returns {Promise<string>} Cached content resource name
+         */
+        this.getCacheName = async function() {
+            if (isUsable(node.cachedContent)) {
+                if (config.refreshOnUse) {
+                    await node.refresh();
+                }
+                return node.cachedContent.name;
+            }
+
+            if (!node.pendingCreate) {
+                node.pendingCreate = node.create().finally(() => {
+                    node.pendingCreate = null;
+                });
+            }
+
+            const cachedContent = await node.pendingCreate;
+            return cachedContent.name;
+        };
+
+        // Handle a cache control message (msg.cache.action) from a node using this cache
+        this.handleAction = async function(action) {
+            switch (action) {
+                case 'create':
+                    return node.create();
+                case 'refresh':
+                    return node.refresh();
+                case 'delete':
+                    return node.delete();
+                case 'info':
+                    return node.cachedContent;
+                default:
+                    throw new Error(`Unknown cache action '${action}'. Supported actions: create, refresh, delete, info`);
+            }
+        };
+
+        // Delete the cache when the node is removed or redeployed, if configured
+        this.on('close', function(done) {
+            if (!config.deleteOnClose || !node.cachedContent) {
+                done();
+                return;
+            }
+
+            node.delete()
+                .catch(error => node.warn(`Failed to delete cached content: ${error.message}`))
+                .then(() => done());
+        });
+    }
+
+    RED.nodes.registerType("gemini-cache", GeminiCacheNode);
+};
@@ -0,0 +1,256 @@
+module.exports = function(RED) {
+    "use strict";
+
+    const { GoogleGenAI } = require('@google/genai');
+    const NodeStatus = require('./status-utils');
+    const MimeUtils = require('./mime-utils');
+    const RequestTracker = require('./cancel-utils');
+    const { renderTemplate } = require('./template-utils');
+
+    // Maximum number of inputs the API accepts in one batch request
+    const MAX_BATCH_SIZE = 100;
+
+    // Helper function to fill in the MIME type of inline data parts from their content
+    function withMimeType(part, index) {
+        if (!part || !part.inlineData || part.inlineData.mimeType) {
+            return part;
+        }
+
+        const mimeType = MimeUtils.detect(part.inlineData.data);
+        if (!mimeType) {
+            throw new Error(`Input ${index} has inline data of unknown type. Set inlineData.mimeType`);
+        }
+        return { ...part, inlineData: { ...part.inlineData, mimeType: mimeType } };
+    }
+
+    // Helper function to convert a payload item into content for the embedding request
+    function toContent(item, index) {
+        if (typeof item === 'string') {
+            if (!item.trim()) {
+                throw new Error(`Input ${index} is empty`);
+            }
+            return { parts: [{ text: item }] };
+        }
+
+        if (item && typeof item === 'object') {
+            // Full content object with parts
+            if (Array.isArray(item.parts)) {
+                return { ...item, parts: item.parts.map(part => withMimeType(part, index)) };
+            }
+            // Single part (text, inlineData or fileData) for multimodal embedding models
+            if (item.text !== undefined || item.inlineData || item.fileData) {
+                return { parts: [withMimeType(item, index)] };
+            }
+        }
+
+        throw new Error(`Input ${index} must be a string, a content object with parts, or a part object`);
+    }
+
+    // Helper function to scale a vector to unit length
+    function normalize(values) {
+        const length = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        return length > 0 ? values.map(value => value / length) : values;
+    }
+
+    function GeminiEmbedContentNode(config) {
+        RED.nodes.createNode(this, config);
+        var node = this;
+
+        // Get the API key config node
+        this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
+
+        // Get the optional prompt library config node
+        this.promptConfig = config.promptLibrary ? RED.nodes.getNode(config.promptLibrary) : null;
+
+        // In-flight requests, aborted on close, by msg.cancel or when their timeout elapses
+        this.requests = new RequestTracker();
+
+        this.on('input', async function(msg, send, done) {
+            // Use send and done for Node-RED 1.0+ compatibility
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if (err) node.error(err); };
+
+            // Initialize status tracker
+            const status = new NodeStatus(node);
+
+            // Initialize variables that may be referenced in error handler
+            let model = null;
+            let tracked = null;
+
+            try {
+                // Cancel messages abort running requests - all of them, or those matching msg.cancel._msgid or msg.cancel.topic
+                if (msg.cancel) {
+                    const cancelled = node.requests.cancel(msg.cancel);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', { cancelled: cancelled });
+
+                    status.setSuccess(config.model, `cancelled ${cancelled}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
+
+                // Validate API key
+                if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
+                    throw new Error('API key not configured. Please configure a Gemini API Key.');
+                }
+
+                const apiKey = node.apiKeyConfig.credentials.apikey;
+
+                // Resolve model
+                model = msg.model || config.model || 'gemini-embedding-001';
+
+                // Select the prompt library version; the version used is returned in msg.promptVersion
+                const promptVersion = node.promptConfig ? node.promptConfig.getVersion(msg.promptVersion) : null;
+                if (promptVersion) {
+                    msg = {...msg, promptVersion: promptVersion.version};
+                }
+                const settings = promptVersion ? promptVersion.settings : {};
+
+                // A single input produces a single vector, an array produces one vector per item
+                const isBatch = Array.isArray(msg.payload);
+                let items = isBatch ? msg.payload : [msg.payload];
+                if (items.length === 0) {
+                    throw new Error('No input provided. Send a string or an array in msg.payload');
+                }
+
+                // A prompt library template wraps each text input, rendered with the input as msg.payload
+                if (promptVersion && promptVersion.template) {
+                    items = items.map(item => typeof item === 'string' ? renderTemplate(promptVersion.template, {...msg, payload: item}, 'prompt template', node, RED) : item);
+                }
+                const contents = items.map(toContent);
+
+                // Build embedding configuration
+                const embedConfig = {};
+
+                const taskType = msg.taskType || settings.taskType || config.taskType;
+                if (taskType) {
+                    embedConfig.taskType = taskType;
+                }
+
+                let outputDimensionality = msg.outputDimensionality !== undefined ? msg.outputDimensionality : settings.outputDimensionality;
+                if (outputDimensionality === undefined) {
+                    outputDimensionality = config.outputDimensionality;
+                }
+                if (outputDimensionality !== undefined && outputDimensionality !== null && outputDimensionality !== '') {
+                    embedConfig.outputDimensionality = parseInt(outputDimensionality);
+                }
+
+                // Titles only apply to documents embedded for retrieval
+                const title = msg.title || settings.title || config.title;
+                if (title && taskType === 'RETRIEVAL_DOCUMENT') {
+                    embedConfig.title = title;
+                }
+
+                // Initialize Google Generative AI
+                const genAI = new GoogleGenAI({apiKey: apiKey});
+
+                // Track the request so it can be cancelled or time out
+                tracked = node.requests.start(msg, config.timeout);
+
+                // Split large inputs into batches the API accepts and embed them in order
+                const batchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, parseInt(config.batchSize) || MAX_BATCH_SIZE));
+                const batchCount = Math.ceil(contents.length / batchSize);
+                const vectors = [];
+
+                for (let i = 0; i < contents.length; i += batchSize) {
+                    status.setProgress(model, 'embedding', { additional: `${Math.min(i + batchSize, contents.length)}/${contents.length}` });
+
+                    const batch = contents.slice(i, i + batchSize);
+                    const request = {
+                        model: model,
+                        contents: batch,
+                        config: { ...embedConfig, abortSignal: tracked.signal }
+                    };
+
+                    const result = await genAI.models.embedContent(request);
+                    const embeddings = result.embeddings || [];
+                    if (embeddings.length !== batch.length) {
+                        throw new Error(`Expected ${batch.length} embeddings but received ${embeddings.length}`);
+                    }
+
+                    embeddings.forEach(embedding => vectors.push(embedding.values || []));
+                }
+
+                // Apply normalization and output type
+                const output = vectors.map(values => {
+                    const vector = config.normalize ? normalize(values) : values;
+                    return config.outputType === 'float32' ? Float32Array.from(vector) : vector;
+                });
+
+                // Determine output property name
+                const outputProperty = config.outputProperty || 'payload';
+
+                // Prepare success response
+                // Always preserve incoming message properties
+                let successMsg = {...msg};
+
+                // Add additional metadata properties if passthrough is enabled
+                if (config.passthroughProperties) {
+                    successMsg.model = model;
+                    successMsg.taskType = taskType || null;
+                    successMsg.dimensions = vectors.length > 0 ? vectors[0].length : 0;
+                    successMsg.embeddingCount = vectors.length;
+                    successMsg.batches = batchCount;
+                    successMsg.normalized = !!config.normalize;
+                }
+
+                // Set the embeddings to the specified output property (supports dot notation)
+                RED.util.setMessageProperty(successMsg, outputProperty, isBatch ? output : output[0]);
+
+                // Show success status
+                status.setSuccess(model, `embedded ${vectors.length}`, { duration: true });
+
+                send([successMsg, null]);
+                done();
+
+            } catch (error) {
+                // Nothing is sent for requests aborted because the node closed
+                if (tracked && node.requests.wasClosed(tracked)) {
+                    done();
+                    return;
+                }
+
+                // Aborted calls fail with whatever the SDK throws, so report them as cancelled or timed out
+                error = node.requests.toError(tracked, error);
+
+                // Prepare error response
+                const errorMsg = {
+                    ...msg,
+                    error: {
+                        message: error.message,
+                        code: error.code || 'UNKNOWN_ERROR',
+                        type: error.name || 'Error',
+                        details: error.details || null,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+
+                // Set contextual error status
+                status.setError(model || 'gemini', error, { operation: 'embedding' });
+
+                // Make error catchable by catch nodes
+                node.error(error.message, errorMsg);
+
+                // Route to second output port
+                send([null, errorMsg]);
+                done();
+            } finally {
+                if (tracked) {
+                    node.requests.finish(tracked);
+                }
+            }
+        });
+
+        // Clear status when node is being destroyed
+        this.on('close', function() {
+            // Abort running requests
+            node.requests.cancelAll();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType("gemini-embed-content", GeminiEmbedContentNode);
+};
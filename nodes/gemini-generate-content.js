@@ -3,32 +3,18 @@ module.exports = function(RED) {
 
     const { GoogleGenAI } = require('@google/genai');
     const fs = require('fs');
-    const https = require('https');
-    const http = require('http');
     const path = require('path');
-    const { renderTemplate } = require('./template-utils');
+    const { renderTemplate, evaluateExpression } = require('./template-utils');
     const NodeStatus = require('./status-utils');
     const SafetyUtils = require('./safety-utils');
-
-    // Helper function to fetch content from URL
-    async function fetchFromUrl(url) {
-        return new Promise((resolve, reject) => {
-            const client = url.startsWith('https:') ? https : http;
-            client.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    return;
-                }
-                
-                const chunks = [];
-                response.on('data', chunk => chunks.push(chunk));
-                response.on('end', () => {
-                    const buffer = Buffer.concat(chunks);
-                    resolve(buffer);
-                });
-            }).on('error', reject);
-        });
-    }
+    const HistoryUtils = require('./history-utils');
+    const UploadUtils = require('./upload-utils');
+    const SchemaUtils = require('./schema-utils');
+    const GroundingUtils = require('./grounding-utils');
+    const MimeUtils = require('./mime-utils');
+    const FetchUtils = require('./fetch-utils');
+    const RequestTracker = require('./cancel-utils');
+    const FormatUtils = require('./format-utils');
 
     // Helper function to read file from filesystem
     async function readFromFile(filePath) {
@@ -45,7 +31,8 @@ module.exports = function(RED) {
 
     // Helper function to get MIME type from file extension or URL
     function getMimeType(filePathOrUrl) {
-        const ext = path.extname(filePathOrUrl).toLowerCase();
+        // Ignore the query string and fragment of URLs
+        const ext = path.extname(filePathOrUrl.split(/[?#]/)[0]).toLowerCase();
         const mimeTypes = {
             '.jpg': 'image/jpeg',
             '.jpeg': 'image/jpeg',
@@ -55,13 +42,88 @@ module.exports = function(RED) {
             '.mp4': 'video/mp4',
             '.avi': 'video/avi',
             '.mov': 'video/quicktime',
-            '.webm': 'video/webm'
+            '.webm': 'video/webm',
+            '.pdf': 'application/pdf',
+            '.txt': 'text/plain',
+            '.md': 'text/markdown',
+            '.markdown': 'text/markdown',
+            '.html': 'text/html',
+            '.htm': 'text/html',
+            '.csv': 'text/csv',
+            '.json': 'application/json',
+            '.wav': 'audio/wav',
+            '.mp3': 'audio/mp3',
+            '.aiff': 'audio/aiff',
+            '.aac': 'audio/aac',
+            '.ogg': 'audio/ogg',
+            '.flac': 'audio/flac'
         };
         return mimeTypes[ext] || 'application/octet-stream';
     }
 
+    // MIME types assumed for data from msg properties that match no known signature, by input category
+    const DEFAULT_MSG_MIME_TYPES = {
+        image: 'image/jpeg',
+        video: 'video/mp4',
+        document: 'application/pdf',
+        audio: 'audio/wav'
+    };
+
+    // Helper function to check whether a URL points to a YouTube video
+    function isYouTubeUrl(url) {
+        return typeof url === 'string' && /^https?:\/\/(www\.|m\.)?(youtube\.com\/(watch\?|shorts\/|live\/)|youtu\.be\/)/i.test(url);
+    }
+
+    // Helper function to convert a clip offset to the API's duration format. Accepts seconds
+    // (90 or "90"), durations ("90s") and timestamps ("1:30", "01:02:03")
+    function toDuration(value, name) {
+        if (typeof value === 'number' && value >= 0) {
+            return `${value}s`;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+(\.\d+)?s?$/.test(text)) {
+            return text.endsWith('s') ? text : `${text}s`;
+        }
+        if (/^\d+(:[0-5]?\d){1,2}(\.\d+)?$/.test(text)) {
+            const seconds = text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+            return `${seconds}s`;
+        }
+
+        throw new Error(`Invalid ${name}: ${value}. Use seconds (90), a duration (90s) or a timestamp (1:30)`);
+    }
+
+    // Helper function to build the videoMetadata of a video input: clip start and end offsets and frame rate
+    function parseVideoMetadata(videoMetadata) {
+        if (!videoMetadata) {
+            return null;
+        }
+
+        const metadata = {};
+        const isSet = value => value !== undefined && value !== null && value !== '';
+
+        if (isSet(videoMetadata.startOffset)) {
+            metadata.startOffset = toDuration(videoMetadata.startOffset, 'startOffset');
+        }
+        if (isSet(videoMetadata.endOffset)) {
+            metadata.endOffset = toDuration(videoMetadata.endOffset, 'endOffset');
+        }
+        if (metadata.startOffset && metadata.endOffset && parseFloat(metadata.startOffset) >= parseFloat(metadata.endOffset)) {
+            throw new Error(`endOffset (${metadata.endOffset}) must be after startOffset (${metadata.startOffset})`);
+        }
+        if (isSet(videoMetadata.fps)) {
+            const fps = parseFloat(videoMetadata.fps);
+            if (isNaN(fps) || fps <= 0 || fps > 24) {
+                throw new Error(`Invalid fps: ${videoMetadata.fps}. Must be greater than 0 and at most 24`);
+            }
+            metadata.fps = fps;
+        }
+
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    }
+
     // Helper function to process multimodal inputs
-    async function processMultimodalInputs(multimodalConfig, msg) {
+    async function processMultimodalInputs(multimodalConfig, msg, fetchOptions) {
         const parts = [];
         
         if (!multimodalConfig || !Array.isArray(multimodalConfig)) {
@@ -71,16 +133,23 @@ module.exports = function(RED) {
         for (const input of multimodalConfig) {
             try {
                 let content, mimeType;
+                const partCount = parts.length;
 
-                switch (input.type) {
+                // YouTube pages can't be downloaded as video, so video URLs pointing to YouTube are referenced like YouTube inputs
+                const type = input.type === 'video-url' && isYouTubeUrl(input.value) ? 'video-youtube' : input.type;
+
+                switch (type) {
                     case 'text':
                         parts.push({ text: input.value });
                         break;
 
                     case 'image-url':
                     case 'video-url':
-                        content = await fetchFromUrl(input.value);
-                        mimeType = getMimeType(input.value);
+                    case 'document-url':
+                    case 'audio-url':
+                        const fetched = await FetchUtils.fetch(input.value, { ...fetchOptions, headers: FetchUtils.parseHeaders(input.headers) });
+                        content = fetched.data;
+                        mimeType = MimeUtils.resolve(content, input.mimeType || fetched.mimeType, getMimeType(fetched.url));
                         parts.push({
                             inlineData: {
                                 data: content.toString('base64'),
@@ -91,8 +160,10 @@ module.exports = function(RED) {
 
                     case 'image-file':
                     case 'video-file':
+                    case 'document-file':
+                    case 'audio-file':
                         content = await readFromFile(input.value);
-                        mimeType = getMimeType(input.value);
+                        mimeType = MimeUtils.resolve(content, input.mimeType, getMimeType(input.value));
                         parts.push({
                             inlineData: {
                                 data: content.toString('base64'),
@@ -103,6 +174,8 @@ module.exports = function(RED) {
 
                     case 'image-msg':
                     case 'video-msg':
+                    case 'document-msg':
+                    case 'audio-msg':
                         const msgData = msg[input.value] || msg.payload;
                         if (!msgData) {
                             throw new Error(`No data found at ${input.value}`);
@@ -112,14 +185,18 @@ module.exports = function(RED) {
                         if (Buffer.isBuffer(msgData)) {
                             base64Data = msgData.toString('base64');
                         } else if (typeof msgData === 'string') {
-                            // Assume it's already base64 or convert if needed
+                            // Data URLs carry their MIME type, anything else is assumed to be base64 already
+                            const dataUrlMatch = msgData.match(/^data:([^;,]+);base64,/);
+                            if (dataUrlMatch) {
+                                mimeType = dataUrlMatch[1];
+                            }
                             base64Data = msgData.replace(/^data:[^;]+;base64,/, '');
                         } else {
                             throw new Error(`Invalid data type for ${input.value}`);
                         }
 
-                        // Default MIME type if not detectable
-                        mimeType = input.type.startsWith('image') ? 'image/jpeg' : 'video/mp4';
+                        // Detect the MIME type from the data unless it was given
+                        mimeType = MimeUtils.resolve(base64Data, input.mimeType || mimeType, DEFAULT_MSG_MIME_TYPES[input.type.split('-')[0]]);
                         parts.push({
                             inlineData: {
                                 data: base64Data,
@@ -128,9 +205,36 @@ module.exports = function(RED) {
                         });
                         break;
 
+                    case 'video-youtube':
+                    case 'file-uri':
+                        // Referenced by URI without downloading: YouTube videos, Files API and Cloud Storage URIs
+                        if (type === 'video-youtube' && !isYouTubeUrl(input.value)) {
+                            throw new Error(`Not a YouTube URL: ${input.value}`);
+                        }
+
+                        const fileData = { fileUri: input.value };
+                        mimeType = input.mimeType || (type === 'file-uri' ? getMimeType(input.value) : null);
+                        if (mimeType && mimeType !== 'application/octet-stream') {
+                            fileData.mimeType = mimeType;
+                        }
+                        parts.push({ fileData: fileData });
+                        break;
+
                     default:
                         throw new Error(`Unsupported multimodal input type: ${input.type}`);
                 }
+
+                // Clip offsets and frame rate for video inputs
+                const videoMetadata = parseVideoMetadata(input.videoMetadata);
+                if (videoMetadata) {
+                    const part = parts[partCount];
+                    const media = part && (part.inlineData || part.fileData);
+                    const isVideo = input.type.startsWith('video-') || (media && media.mimeType && media.mimeType.startsWith('video/'));
+                    if (!isVideo) {
+                        throw new Error('videoMetadata only applies to video inputs');
+                    }
+                    part.videoMetadata = videoMetadata;
+                }
             } catch (error) {
                 throw new Error(`Multimodal input error (${input.type}): ${error.message}`);
             }
@@ -139,6 +243,323 @@ module.exports = function(RED) {
         return parts;
     }
 
+    // Helper function to count media parts by kind for the status display
+    function countMedia(parts) {
+        const counts = { imageCount: 0, videoCount: 0, audioCount: 0, documentCount: 0 };
+        parts.forEach(part => {
+            const media = part.inlineData || part.fileData;
+            if (!media) {
+                return;
+            }
+
+            const mimeType = media.mimeType || '';
+            if (mimeType.startsWith('image')) {
+                counts.imageCount++;
+            } else if (mimeType.startsWith('video') || part.videoMetadata || isYouTubeUrl(media.fileUri)) {
+                counts.videoCount++;
+            } else if (mimeType.startsWith('audio')) {
+                counts.audioCount++;
+            } else {
+                counts.documentCount++;
+            }
+        });
+        return counts;
+    }
+
+    // Helper function to normalize function declarations from the editor or msg.tools
+    function parseFunctionDeclarations(declarations) {
+        if (!declarations || !Array.isArray(declarations)) {
+            return [];
+        }
+
+        return declarations.map(declaration => {
+            if (!declaration || !declaration.name) {
+                throw new Error('Function declarations require a name');
+            }
+
+            const functionDeclaration = { name: declaration.name };
+            if (declaration.description) {
+                functionDeclaration.description = declaration.description;
+            }
+
+            // Parameters are plain JSON Schema, given either as an object or a JSON string
+            let parameters = declaration.parameters;
+            if (typeof parameters === 'string') {
+                if (parameters.trim() === '') {
+                    parameters = null;
+                } else {
+                    try {
+                        parameters = JSON.parse(parameters);
+                    } catch (e) {
+                        throw new Error(`Invalid parameter schema for function '${declaration.name}': ${e.message}`);
+                    }
+                }
+            }
+            if (parameters) {
+                functionDeclaration.parametersJsonSchema = parameters;
+            }
+
+            return functionDeclaration;
+        });
+    }
+
+    // Helper function to wrap a function result as a functionResponse part
+    function toFunctionResponsePart(functionCall, value) {
+        // The API expects the response to be an object, so wrap scalars and arrays
+        const response = (value && typeof value === 'object' && !Array.isArray(value)) ? value : { result: value === undefined ? null : value };
+        const functionResponse = {
+            name: functionCall.name,
+            response: response
+        };
+        if (functionCall.id) {
+            functionResponse.id = functionCall.id;
+        }
+        return { functionResponse: functionResponse };
+    }
+
+    // Helper function to detect rate limit and quota errors worth retrying
+    function isRateLimitError(error) {
+        return error.status === 429 || /429|RESOURCE_EXHAUSTED|rate limit|quota/i.test(error.message || '');
+    }
+
+    // Helper function to wait before a retry, cut short when the request is cancelled or times out
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new Error('Request aborted'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new Error('Request aborted'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    // Helper function to retry rate limited calls with exponential backoff (1s, 2s, 4s, ...)
+    // An aborted request is not retried, and aborting ends the backoff early
+    async function withRateLimitRetry(fn, retries, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (attempt >= retries || !isRateLimitError(error) || (signal && signal.aborted)) {
+                    throw error;
+                }
+                await delay(1000 * Math.pow(2, attempt), signal);
+            }
+        }
+    }
+
+    // Helper function to run a worker over items with at most `limit` running at once, preserving order
+    async function runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        async function runNext() {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        }
+
+        const runners = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            runners.push(runNext());
+        }
+        await Promise.all(runners);
+
+        return results;
+    }
+
+    // Smallest turn limit the summarize history policy accepts: the summary takes a turn of its own and
+    // at least one new message has to fit before the next summary is needed
+    const MIN_SUMMARY_TURNS = 3;
+
+    // Strategies for choosing the output among multiple candidates
+    const CANDIDATE_SELECTIONS = ['first', 'longest', 'logprob', 'majority'];
+
+    // Helper function to get the answer text of a candidate, leaving out thought parts
+    function getCandidateText(candidate) {
+        const parts = candidate?.content?.parts || [];
+        return parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join('');
+    }
+
+    // Helper function to get the thought summaries among response parts, or null if there are none
+    function getThoughts(parts) {
+        const thoughts = (parts || []).filter(part => part.thought && typeof part.text === 'string').map(part => part.text).join('');
+        return thoughts || null;
+    }
+
+    // Helper function to reduce an answer to a key for majority voting. JSON answers compare by
+    // value regardless of key order or formatting, other answers by their trimmed text.
+    function getVoteKey(text) {
+        const sortKeys = value => {
+            if (Array.isArray(value)) {
+                return value.map(sortKeys);
+            }
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((sorted, key) => {
+                    sorted[key] = sortKeys(value[key]);
+                    return sorted;
+                }, {});
+            }
+            return value;
+        };
+
+        try {
+            return JSON.stringify(sortKeys(JSON.parse(text)));
+        } catch (e) {
+            return text.trim();
+        }
+    }
+
+    // Helper function to pick the index of the output candidate and count majority votes.
+    // Ties go to the earliest candidate.
+    function selectCandidate(candidates, strategy) {
+        const votes = new Map();
+        candidates.forEach(candidate => {
+            const key = getVoteKey(candidate.text);
+            votes.set(key, (votes.get(key) || 0) + 1);
+        });
+
+        let selected = candidates[0];
+        for (const candidate of candidates.slice(1)) {
+            if (strategy === 'longest' && candidate.text.length > selected.text.length) {
+                selected = candidate;
+            } else if (strategy === 'logprob' && (candidate.avgLogprobs ?? -Infinity) > (selected.avgLogprobs ?? -Infinity)) {
+                selected = candidate;
+            } else if (strategy === 'majority' && votes.get(getVoteKey(candidate.text)) > votes.get(getVoteKey(selected.text))) {
+                selected = candidate;
+            }
+        }
+
+        return {
+            index: selected.index,
+            votes: candidates.map(candidate => votes.get(getVoteKey(candidate.text)))
+        };
+    }
+
+    // Helper function to read stop sequences from an array, a JSON array string or a comma-separated string
+    function parseStopSequences(value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+
+        const text = String(value).trim();
+        if (text.startsWith('[')) {
+            try {
+                return JSON.parse(text).map(String);
+            } catch (e) {
+                throw new Error(`Invalid stop sequences: ${e.message}`);
+            }
+        }
+        return text.split(',').map(v => v.trim()).filter(v => v);
+    }
+
+    // Helper function to normalize a media resolution given as LOW/MEDIUM/HIGH or the API's MEDIA_RESOLUTION_* name
+    function parseMediaResolution(value) {
+        const level = String(value).trim().toUpperCase().replace(/^MEDIA_RESOLUTION_/, '');
+        if (!['LOW', 'MEDIUM', 'HIGH'].includes(level)) {
+            throw new Error(`Invalid media resolution '${value}'. Supported values: low, medium, high`);
+        }
+        return `MEDIA_RESOLUTION_${level}`;
+    }
+
+    // Helper function to get the token logprobs of a candidate, or null if they weren't returned
+    function getLogprobs(candidate) {
+        if (!candidate || !candidate.logprobsResult) {
+            return null;
+        }
+        return {
+            avgLogprobs: candidate.avgLogprobs ?? null,
+            chosenCandidates: candidate.logprobsResult.chosenCandidates || [],
+            topCandidates: candidate.logprobsResult.topCandidates || []
+        };
+    }
+
+    // Helper function to join the logprobs of streamed chunks, averaging over all chosen tokens
+    function mergeLogprobs(chunkLogprobs) {
+        const chunks = chunkLogprobs.filter(logprobs => logprobs);
+        if (chunks.length === 0) {
+            return null;
+        }
+
+        const chosenCandidates = [].concat(...chunks.map(logprobs => logprobs.chosenCandidates));
+        const sum = chosenCandidates.reduce((total, token) => total + (token.logProbability || 0), 0);
+        return {
+            avgLogprobs: chosenCandidates.length > 0 ? sum / chosenCandidates.length : null,
+            chosenCandidates: chosenCandidates,
+            topCandidates: [].concat(...chunks.map(logprobs => logprobs.topCandidates))
+        };
+    }
+
+    // Helper function to collect the code the model ran with the code execution tool, paired with
+    // its results, and any images the code generated
+    function getCodeExecution(parts) {
+        const steps = [];
+        const images = [];
+
+        for (const part of parts || []) {
+            if (part.executableCode) {
+                steps.push({
+                    language: part.executableCode.language || null,
+                    code: part.executableCode.code || '',
+                    outcome: null,
+                    output: null
+                });
+            } else if (part.codeExecutionResult) {
+                // A result belongs to the code part before it
+                let step = steps[steps.length - 1];
+                if (!step || step.outcome !== null) {
+                    step = { language: null, code: null, outcome: null, output: null };
+                    steps.push(step);
+                }
+                step.outcome = part.codeExecutionResult.outcome || null;
+                step.output = part.codeExecutionResult.output || '';
+            } else if (part.inlineData && (part.inlineData.mimeType || '').startsWith('image/')) {
+                images.push({
+                    mimeType: part.inlineData.mimeType,
+                    data: Buffer.from(part.inlineData.data || '', 'base64')
+                });
+            }
+        }
+
+        return (steps.length > 0 || images.length > 0) ? { steps: steps, images: images } : null;
+    }
+
+    // Helper function to validate and normalize imported chat history
+    // Accepts API contents ({ role, parts }) or the simpler { role, text } form
+    function normalizeChatHistory(history) {
+        if (!Array.isArray(history)) {
+            throw new Error('Chat history must be an array of { role, parts } or { role, text } objects');
+        }
+
+        return history.map((content, index) => {
+            if (!content || (content.role !== 'user' && content.role !== 'model')) {
+                throw new Error(`Chat history entry ${index} must have role 'user' or 'model'`);
+            }
+            if (Array.isArray(content.parts)) {
+                return { role: content.role, parts: content.parts };
+            }
+            if (typeof content.text === 'string') {
+                return { role: content.role, parts: [{ text: content.text }] };
+            }
+            throw new Error(`Chat history entry ${index} must have parts or text`);
+        });
+    }
+
     function GeminiGenerateContentNode(config) {
         RED.nodes.createNode(this, config);
         var node = this;
@@ -146,6 +567,625 @@ module.exports = function(RED) {
         // Get the API key config node
         this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
 
+        // Get the optional context cache config node
+        this.cacheConfig = config.cache ? RED.nodes.getNode(config.cache) : null;
+
+        // Get the optional prompt library config node
+        this.promptConfig = config.promptLibrary ? RED.nodes.getNode(config.promptLibrary) : null;
+
+        // Function calls waiting for a result message, keyed by call ID
+        this.pendingFunctionCalls = new Map();
+
+        // In-flight requests, aborted on close, by msg.cancel or when their timeout elapses
+        this.requests = new RequestTracker();
+
+        // Emit a function call on the third output and wait for its result to come back as an input message
+        function waitForFunctionResponse(functionCall, msg, send, signal) {
+            return new Promise((resolve, reject) => {
+                const callId = RED.util.generateId();
+                const timeoutSeconds = parseFloat(config.functionTimeout) || 60;
+
+                // Stop waiting when the request is cancelled
+                const onAbort = () => {
+                    const pending = node.pendingFunctionCalls.get(callId);
+                    if (pending) {
+                        node.pendingFunctionCalls.delete(callId);
+                        pending.reject(new Error(`Cancelled while waiting for result of function '${functionCall.name}'`));
+                    }
+                };
+
+                // Clear the timer and abort listener once the call is answered, fails or times out,
+                // so requests making many calls don't pile up listeners on their signal
+                function settle() {
+                    clearTimeout(timer);
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                }
+
+                const timer = setTimeout(() => {
+                    node.pendingFunctionCalls.delete(callId);
+                    settle();
+                    reject(new Error(`Timed out after ${timeoutSeconds}s waiting for result of function '${functionCall.name}'`));
+                }, timeoutSeconds * 1000);
+
+                node.pendingFunctionCalls.set(callId, {
+                    name: functionCall.name,
+                    resolve: function(value) {
+                        settle();
+                        resolve(value);
+                    },
+                    reject: function(error) {
+                        settle();
+                        reject(error);
+                    }
+                });
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                // Always preserve incoming message properties
+                const callMsg = {...msg};
+                callMsg.payload = functionCall.args || {};
+                callMsg.functionCall = {
+                    callId: callId,
+                    id: functionCall.id || null,
+                    name: functionCall.name,
+                    args: functionCall.args || {}
+                };
+
+                send([null, null, callMsg]);
+            });
+        }
+
+        // Call the API, resolving any function calls through the flow until the model produces a final answer
+        async function generateWithFunctions(genAI, request, msg, send, status, model) {
+            const maxIterations = parseInt(config.maxFunctionIterations) || 10;
+            let result = await genAI.models.generateContent(request);
+            let iterations = 0;
+
+            while (result.functionCalls && result.functionCalls.length > 0) {
+                iterations++;
+                if (iterations > maxIterations) {
+                    throw new Error(`Function calling exceeded ${maxIterations} iterations without a final response`);
+                }
+
+                const functionCalls = result.functionCalls;
+                status.setProgress(model, 'calling functions', { count: functionCalls.length });
+
+                // Keep the model's function call turn in the conversation
+                const modelContent = result.candidates?.[0]?.content || {
+                    parts: functionCalls.map(functionCall => ({ functionCall: functionCall }))
+                };
+                request.contents.push({ ...modelContent, role: 'model' });
+
+                // Parallel function calls are emitted together and answered in a single turn
+                const values = await Promise.all(functionCalls.map(functionCall => waitForFunctionResponse(functionCall, msg, send, request.config?.abortSignal)));
+                request.contents.push({
+                    role: 'user',
+                    parts: functionCalls.map((functionCall, i) => toFunctionResponsePart(functionCall, values[i]))
+                });
+
+                status.setProgress(model, 'generating');
+                result = await genAI.models.generateContent(request);
+            }
+
+            return result;
+        }
+
+        // Describe a stored chat session without its history
+        function getSessionInfo(sessionId, history, sessionInfo) {
+            const info = sessionInfo[sessionId] || {};
+            return {
+                sessionId: sessionId,
+                historyLength: history.length,
+                turns: HistoryUtils.splitTurns(history).length,
+                estimatedTokens: HistoryUtils.estimateTokens(history),
+                createdAt: info.createdAt || null,
+                updatedAt: info.updatedAt || null
+            };
+        }
+
+        // Parse structured output and validate it against the response schema, throwing with the problems found
+        function parseStructuredOutput(text, schema) {
+            let data;
+            try {
+                data = JSON.parse((text || '').trim());
+            } catch (e) {
+                const error = new Error(`Response is not valid JSON: ${e.message}`);
+                error.code = 'INVALID_JSON_OUTPUT';
+                error.details = { errors: [`$: ${e.message}`], text: text };
+                throw error;
+            }
+
+            const errors = schema ? SchemaUtils.validate(data, schema) : [];
+            if (errors.length > 0) {
+                const error = new Error(`Response does not match the schema: ${errors.join('; ')}`);
+                error.code = 'INVALID_JSON_OUTPUT';
+                error.details = { errors: errors, text: text };
+                throw error;
+            }
+
+            return data;
+        }
+
+        // Summarize the candidates of a response and choose the one used as output. Candidates are
+        // null for single-candidate responses. With parsed JSON output only candidates matching
+        // the schema are chosen from, if any do.
+        function pickCandidate(result, msg, structured) {
+            const responseCandidates = result.candidates || [];
+            if (responseCandidates.length <= 1) {
+                return { text: result.text, index: 0, candidates: null };
+            }
+
+            const candidates = responseCandidates.map((candidate, index) => ({
+                index: index,
+                text: getCandidateText(candidate),
+                finishReason: candidate.finishReason || null,
+                safetyRatings: candidate.safetyRatings || null,
+                avgLogprobs: candidate.avgLogprobs ?? null,
+                logprobs: getLogprobs(candidate),
+                thoughts: getThoughts(candidate.content?.parts)
+            }));
+
+            let eligible = candidates;
+            if (structured) {
+                const valid = candidates.filter(candidate => {
+                    try {
+                        parseStructuredOutput(candidate.text, structured.schema);
+                        return true;
+                    } catch (e) {
+                        return false;
+                    }
+                });
+                eligible = valid.length > 0 ? valid : candidates;
+            }
+
+            const strategy = msg.candidateSelection || config.candidateSelection || 'first';
+            const selection = selectCandidate(eligible, strategy);
+
+            candidates.forEach(candidate => {
+                candidate.selected = candidate.index === selection.index;
+            });
+            if (strategy === 'majority') {
+                eligible.forEach((candidate, i) => {
+                    candidate.votes = selection.votes[i];
+                });
+            }
+
+            return { text: candidates[selection.index].text, index: selection.index, candidates: candidates };
+        }
+
+        // Generate a response, choose among its candidates and, for parsed JSON output, ask the model
+        // to repair invalid responses. Repair turns go to a copy of the contents so they never reach
+        // stored chat history.
+        async function generateStructured(genAI, request, msg, send, status, model, structured) {
+            let result = await generateWithFunctions(genAI, request, msg, send, status, model);
+            let picked = pickCandidate(result, msg, structured);
+            if (!structured) {
+                return { result: result, ...picked, data: picked.text };
+            }
+
+            const maxRepairs = (config.jsonRepairAttempts === undefined || config.jsonRepairAttempts === '') ? 2 : Math.max(0, parseInt(config.jsonRepairAttempts) || 0);
+            let repairRequest = null;
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return { result: result, ...picked, data: parseStructuredOutput(picked.text, structured.schema) };
+                } catch (error) {
+                    if (error.code !== 'INVALID_JSON_OUTPUT' || attempt >= maxRepairs) {
+                        if (error.details) {
+                            error.details.repairAttempts = attempt;
+                        }
+                        throw error;
+                    }
+
+                    status.setProgress(model, 'repairing output', { count: attempt + 1 });
+                    repairRequest = repairRequest || { ...request, contents: request.contents.slice() };
+                    repairRequest.contents.push(
+                        { role: 'model', parts: [{ text: picked.text || '' }] },
+                        { role: 'user', parts: [{ text: SchemaUtils.buildRepairPrompt(error.details.errors) }] }
+                    );
+                    result = await generateWithFunctions(genAI, repairRequest, msg, send, status, model);
+                    picked = pickCandidate(result, msg, structured);
+                }
+            }
+        }
+
+        // Count the input tokens of a request. The Gemini API only counts contents, so the
+        // system instruction is counted as an extra leading turn.
+        async function countRequestTokens(genAI, request) {
+            const systemInstruction = request.config?.systemInstruction;
+            const contents = systemInstruction ? [{ role: 'user', parts: systemInstruction.parts }, ...request.contents] : request.contents;
+            const response = await genAI.models.countTokens({
+                model: request.model,
+                contents: contents,
+                config: { abortSignal: request.config?.abortSignal }
+            });
+            return response.totalTokens || 0;
+        }
+
+        // Count tokens before sending a request and enforce the input token budget, either by
+        // rejecting the request or by trimming its contents. Returns the final token count,
+        // or null if preflight counting is disabled.
+        async function preflightTokens(genAI, request, msg, status, settings) {
+            const budgetValue = resolveParameter('tokenBudget', msg, settings);
+            const budget = budgetValue !== undefined ? parseInt(budgetValue) : 0;
+            if (!config.countTokens && !(budget > 0)) {
+                return null;
+            }
+
+            status.setProgress(request.model, 'counting tokens');
+            let tokenCount = await countRequestTokens(genAI, request);
+
+            if (budget > 0 && tokenCount > budget && config.budgetAction === 'truncate') {
+                // Trimming works from estimates, so count again and repeat a few times if needed
+                for (let attempt = 0; attempt < 3 && tokenCount > budget; attempt++) {
+                    request.contents = HistoryUtils.trimContents(request.contents, tokenCount - budget, tokenCount);
+                    tokenCount = await countRequestTokens(genAI, request);
+                }
+            }
+
+            if (budget > 0 && tokenCount > budget) {
+                const error = new Error(`Request has ${tokenCount} input tokens, exceeding the budget of ${budget}`);
+                error.code = 'TOKEN_BUDGET_EXCEEDED';
+                error.details = { tokenCount: tokenCount, tokenBudget: budget };
+                throw error;
+            }
+
+            return tokenCount;
+        }
+
+        // Handle a chat session control message (msg.chat.action) and return the result
+        function handleChatCommand(command, msg) {
+            const chatHistories = node.context().get('chatHistories') || {};
+            const sessionInfo = node.context().get('chatSessionInfo') || {};
+            const sessionId = command.sessionId || msg.topic || 'default';
+
+            switch (command.action) {
+                case 'list':
+                    return Object.keys(chatHistories).map(id => getSessionInfo(id, chatHistories[id], sessionInfo));
+
+                case 'get':
+                case 'export':
+                    if (!chatHistories[sessionId]) {
+                        throw new Error(`Chat session '${sessionId}' not found`);
+                    }
+                    return {
+                        ...getSessionInfo(sessionId, chatHistories[sessionId], sessionInfo),
+                        history: chatHistories[sessionId]
+                    };
+
+                case 'reset':
+                    if (command.all) {
+                        const count = Object.keys(chatHistories).length;
+                        node.context().set('chatHistories', {});
+                        node.context().set('chatSessionInfo', {});
+                        return { reset: true, sessions: count };
+                    }
+                    delete chatHistories[sessionId];
+                    delete sessionInfo[sessionId];
+                    node.context().set('chatHistories', chatHistories);
+                    node.context().set('chatSessionInfo', sessionInfo);
+                    return { sessionId: sessionId, reset: true };
+
+                case 'import': {
+                    const history = normalizeChatHistory(command.history);
+                    const now = new Date().toISOString();
+                    chatHistories[sessionId] = history;
+                    sessionInfo[sessionId] = { createdAt: now, updatedAt: now };
+                    node.context().set('chatHistories', chatHistories);
+                    node.context().set('chatSessionInfo', sessionInfo);
+                    return getSessionInfo(sessionId, history, sessionInfo);
+                }
+
+                default:
+                    throw new Error(`Unknown chat action '${command.action}'. Supported actions: reset, list, get, export, import`);
+            }
+        }
+
+        // Keep a chat history within the configured limits by dropping or summarizing the oldest turns
+        async function applyHistoryPolicy(genAI, model, history, status, signal) {
+            const policy = config.historyPolicy || 'unlimited';
+            const maxTurns = parseInt(config.historyMaxTurns) || 0;
+            const maxTokens = parseInt(config.historyMaxTokens) || 0;
+
+            if (policy === 'unlimited' || (!maxTurns && !maxTokens)) {
+                return history;
+            }
+            if (policy === 'summarize' && maxTurns > 0 && maxTurns < MIN_SUMMARY_TURNS) {
+                throw new Error(`Summarizing chat history needs Max Turns of at least ${MIN_SUMMARY_TURNS}, or no turn limit. Use the sliding window for fewer turns`);
+            }
+
+            const turns = HistoryUtils.splitTurns(history);
+            if (HistoryUtils.countTurnsWithinLimits(turns, maxTurns, maxTokens) === turns.length) {
+                return history;
+            }
+
+            if (policy === 'window') {
+                // Sliding window - keep the most recent turns that fit
+                const kept = HistoryUtils.countTurnsWithinLimits(turns, maxTurns, maxTokens);
+                return [].concat(...turns.slice(turns.length - kept));
+            }
+
+            // Summarize - keep recent turns within half the limits verbatim, so a summary isn't needed on every message.
+            // The summary turn counts towards the turn limit too
+            const kept = HistoryUtils.countTurnsWithinLimits(turns, Math.floor(maxTurns / 2), Math.floor(maxTokens / 2));
+            const olderTurns = turns.slice(0, turns.length - kept);
+
+            status.setProgress(model, 'summarizing', { additional: `${olderTurns.length} turns` });
+
+            const result = await genAI.models.generateContent({
+                model: model,
+                contents: [{ role: 'user', parts: [{ text: HistoryUtils.buildSummaryPrompt(olderTurns) }] }],
+                config: { abortSignal: signal }
+            });
+
+            if (!result.text) {
+                throw new Error('Chat history summarization returned no text');
+            }
+
+            return [...HistoryUtils.createSummaryTurn(result.text), ...[].concat(...turns.slice(turns.length - kept))];
+        }
+
+        // Resolve the prompt for a message from the prompt library or its configured source, falling back to msg.payload
+        async function resolvePrompt(msg, promptVersion) {
+            let prompt = '';
+            if (promptVersion && promptVersion.template) {
+                prompt = renderTemplate(promptVersion.template, msg, 'prompt template', node, RED);
+            } else if (config.promptType === 'str') {
+                // Apply Mustache templating for string prompts
+                prompt = renderTemplate(config.prompt, msg, 'prompt', node, RED);
+            } else if (config.promptType === 'msg') {
+                prompt = msg[config.prompt] || msg.payload;
+            } else if (config.promptType === 'flow') {
+                prompt = node.context().flow.get(config.prompt);
+            } else if (config.promptType === 'global') {
+                prompt = node.context().global.get(config.prompt);
+            } else if (config.promptType === 'jsonata') {
+                prompt = await evaluateExpression(RED, config.prompt, msg, 'prompt', node);
+            }
+
+            // Fallback to msg.payload if no prompt configured
+            if (!prompt && msg.payload) {
+                prompt = typeof msg.payload === 'string' ? msg.payload : JSON.stringify(msg.payload);
+            }
+
+            if (!prompt) {
+                throw new Error('No prompt provided');
+            }
+
+            return prompt;
+        }
+
+        // Resolve a generation parameter from its TypedInput configuration, or a msg property of the same name.
+        // Settings of the selected prompt library version replace the node's configured values
+        function resolveParameter(name, msg, settings) {
+            const source = config[name];
+            const sourceType = config[name + 'Type'];
+            let value = source;
+
+            if (sourceType === 'msg') {
+                // Fall back to the msg property of the same name rather than the property path itself
+                value = msg[source] !== undefined ? msg[source] : msg[name];
+            } else if (sourceType === 'flow') {
+                value = node.context().flow.get(source);
+            } else if (sourceType === 'global') {
+                value = node.context().global.get(source);
+            } else if (msg[name] !== undefined) {
+                value = msg[name];
+            } else if (settings[name] !== undefined) {
+                value = settings[name];
+            }
+
+            return (value === undefined || value === null || value === '') ? undefined : value;
+        }
+
+        // Add stop sequences, penalties, seed, logprobs and media resolution to a request config
+        function addSamplingParameters(requestConfig, msg, settings) {
+            const stopSequences = resolveParameter('stopSequences', msg, settings);
+            if (stopSequences !== undefined) {
+                requestConfig.stopSequences = parseStopSequences(stopSequences);
+            }
+
+            const presencePenalty = resolveParameter('presencePenalty', msg, settings);
+            if (presencePenalty !== undefined) {
+                requestConfig.presencePenalty = parseFloat(presencePenalty);
+            }
+
+            const frequencyPenalty = resolveParameter('frequencyPenalty', msg, settings);
+            if (frequencyPenalty !== undefined) {
+                requestConfig.frequencyPenalty = parseFloat(frequencyPenalty);
+            }
+
+            const seed = resolveParameter('seed', msg, settings);
+            if (seed !== undefined) {
+                requestConfig.seed = parseInt(seed);
+            }
+
+            // Top logprobs per token imply returning logprobs
+            const responseLogprobs = resolveParameter('responseLogprobs', msg, settings);
+            const logprobs = resolveParameter('logprobs', msg, settings);
+            if (responseLogprobs === true || responseLogprobs === 'true' || logprobs !== undefined) {
+                requestConfig.responseLogprobs = true;
+            }
+            if (logprobs !== undefined) {
+                requestConfig.logprobs = parseInt(logprobs);
+            }
+
+            const mediaResolution = resolveParameter('mediaResolution', msg, settings);
+            if (mediaResolution !== undefined) {
+                requestConfig.mediaResolution = parseMediaResolution(mediaResolution);
+            }
+        }
+
+        // Add code execution steps and URL retrieval results to an output message or batch item
+        function addToolOutputs(target, parts, urlContextMetadata) {
+            if (config.codeExecution) {
+                const codeExecution = getCodeExecution(parts);
+                if (codeExecution) {
+                    target.codeExecution = codeExecution;
+                }
+            }
+            if (urlContextMetadata) {
+                target.urlContextMetadata = urlContextMetadata;
+            }
+        }
+
+        // Insert citation markers and a sources list into grounded text output when enabled
+        function applyCitations(data, groundingMetadata) {
+            return (config.citations && groundingMetadata) ? GroundingUtils.addCitations(data, groundingMetadata) : data;
+        }
+
+        // Apply the configured post-processing to a text response: fence stripping, then JSON extraction or Markdown conversion
+        function postProcess(data) {
+            if (typeof data !== 'string') {
+                return data;
+            }
+
+            const text = config.stripFences ? FormatUtils.stripCodeFences(data) : data;
+            if (config.extractJson) {
+                return FormatUtils.extractJson(text);
+            }
+            if (config.markdownFormat === 'text') {
+                return FormatUtils.markdownToText(text);
+            }
+            if (config.markdownFormat === 'html') {
+                return FormatUtils.markdownToHtml(text);
+            }
+            return text;
+        }
+
+        // Set the output property and send the message, or send one message per element of an array result when splitting
+        function sendOutput(send, outputMsg, outputProperty, value) {
+            if (!config.splitArray || !Array.isArray(value) || value.length === 0) {
+                RED.util.setMessageProperty(outputMsg, outputProperty, value);
+                send([outputMsg, null]);
+                return;
+            }
+
+            // Same msg.parts as the split node, so a join node in automatic mode rebuilds the array
+            const id = RED.util.generateId();
+            const messages = value.map((element, index) => {
+                const elementMsg = RED.util.cloneMessage(outputMsg);
+                RED.util.setMessageProperty(elementMsg, outputProperty, element);
+                elementMsg.parts = { id: id, index: index, count: value.length, type: 'array', len: 1 };
+                if (outputMsg.parts) {
+                    elementMsg.parts.parts = outputMsg.parts;
+                }
+                return elementMsg;
+            });
+            send([messages, null]);
+        }
+
+        // Upload media parts to the Files API according to the configured upload mode
+        function uploadMedia(genAI, apiKey, parts, model, status, signal) {
+            return UploadUtils.uploadLargeParts(genAI, apiKey, parts, {
+                mode: config.uploadMode,
+                threshold: config.uploadThreshold,
+                signal: signal,
+                onUpload: count => status.setProgress(model, 'uploading media', { count: count })
+            });
+        }
+
+        // Add the thinking budget and thought summaries, which the API only reads from thinkingConfig
+        function addThinkingConfig(requestConfig, msg, settings) {
+            const thinkingConfig = {};
+
+            const thinkingBudget = resolveParameter('thinkingBudget', msg, settings);
+            if (thinkingBudget !== undefined) {
+                thinkingConfig.thinkingBudget = parseInt(thinkingBudget);
+            }
+
+            let includeThoughts = config.includeThoughts;
+            if (msg.includeThoughts !== undefined) {
+                includeThoughts = msg.includeThoughts === true || msg.includeThoughts === 'true';
+            } else if (settings.includeThoughts !== undefined) {
+                includeThoughts = settings.includeThoughts === true || settings.includeThoughts === 'true';
+            }
+            if (includeThoughts) {
+                thinkingConfig.includeThoughts = true;
+            }
+
+            if (Object.keys(thinkingConfig).length > 0) {
+                requestConfig.thinkingConfig = thinkingConfig;
+            }
+        }
+
+        // Build the request config: system instruction, generation parameters, safety settings, structured output and tools
+        function buildRequestConfig(msg, options) {
+            const requestConfig = {};
+            const settings = options.settings;
+
+            // Add system instruction if provided
+            if (options.systemInstruction) {
+                requestConfig.systemInstruction = {
+                    parts: [{ text: options.systemInstruction }]
+                };
+            }
+
+            addThinkingConfig(requestConfig, msg, settings);
+
+            const temperature = resolveParameter('temperature', msg, settings);
+            if (temperature !== undefined) {
+                requestConfig.temperature = parseFloat(temperature);
+            }
+
+            const topP = resolveParameter('topP', msg, settings);
+            if (topP !== undefined) {
+                requestConfig.topP = parseFloat(topP);
+            }
+
+            const topK = resolveParameter('topK', msg, settings);
+            if (topK !== undefined) {
+                requestConfig.topK = parseInt(topK);
+            }
+
+            const maxOutputTokens = resolveParameter('maxOutputTokens', msg, settings);
+            if (maxOutputTokens !== undefined) {
+                requestConfig.maxOutputTokens = parseInt(maxOutputTokens);
+            }
+
+            const candidateCount = resolveParameter('candidateCount', msg, settings);
+            if (candidateCount !== undefined) {
+                requestConfig.candidateCount = parseInt(candidateCount);
+            }
+
+            addSamplingParameters(requestConfig, msg, settings);
+
+            // Add safety settings using shared utility
+            SafetyUtils.addSafetySettings(requestConfig, config);
+
+            // Add structured output configuration
+            if (options.responseMimeType) {
+                requestConfig.responseMimeType = options.responseMimeType;
+            }
+            if (options.responseSchema) {
+                requestConfig.responseSchema = options.responseSchema;
+            }
+            if (options.responseJsonSchema) {
+                requestConfig.responseJsonSchema = options.responseJsonSchema;
+            }
+
+            // Add tools (grounding or function declarations)
+            if (options.tools) {
+                requestConfig.tools = options.tools;
+            }
+
+            // Add context cache reference
+            if (options.cachedContent) {
+                requestConfig.cachedContent = options.cachedContent;
+            }
+
+            // Let the request be cancelled
+            if (options.abortSignal) {
+                requestConfig.abortSignal = options.abortSignal;
+            }
+
+            return requestConfig;
+        }
+
         this.on('input', async function(msg, send, done) {
             // Use send and done for Node-RED 1.0+ compatibility
             send = send || function() { node.send.apply(node, arguments); };
@@ -154,10 +1194,71 @@ module.exports = function(RED) {
             // Initialize status tracker
             const status = new NodeStatus(node);
 
-            // Initialize variables that may be referenced in error handler
-            let model = null;
+            // Initialize variables that may be referenced in error handler
+            let model = null;
+            let tracked = null;
+
+            try {
+                // Function results resume a pending request rather than starting a new one
+                if (msg.functionCall && msg.functionCall.callId) {
+                    const pending = node.pendingFunctionCalls.get(msg.functionCall.callId);
+                    if (!pending) {
+                        throw new Error(`No pending function call with ID '${msg.functionCall.callId}'. It may have timed out.`);
+                    }
+
+                    node.pendingFunctionCalls.delete(msg.functionCall.callId);
+                    pending.resolve(msg.functionResponse !== undefined ? msg.functionResponse : msg.payload);
+                    done();
+                    return;
+                }
+
+                // Cancel messages abort running requests - all of them, or those matching msg.cancel._msgid or msg.cancel.topic
+                if (msg.cancel) {
+                    const cancelled = node.requests.cancel(msg.cancel);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', { cancelled: cancelled });
+
+                    status.setSuccess(config.modelSelection, `cancelled ${cancelled}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
+
+                // Chat session control messages are answered directly without calling the API
+                if (msg.chat && typeof msg.chat === 'object' && msg.chat.action) {
+                    const chatResult = handleChatCommand(msg.chat, msg);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', chatResult);
+
+                    status.setSuccess(config.modelSelection, `chat ${msg.chat.action}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
+
+                // Cache control messages manage the configured context cache without generating content
+                if (msg.cache && typeof msg.cache === 'object' && msg.cache.action) {
+                    if (!node.cacheConfig) {
+                        throw new Error('No context cache configured on this node');
+                    }
+
+                    status.setProgress(node.cacheConfig.model, `cache ${msg.cache.action}`);
+                    const cacheResult = await node.cacheConfig.handleAction(msg.cache.action);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', cacheResult);
+
+                    status.setSuccess(node.cacheConfig.model, `cache ${msg.cache.action}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
 
-            try {
                 // Validate API key
                 if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
                     throw new Error('API key not configured. Please configure a Gemini API Key.');
@@ -165,6 +1266,18 @@ module.exports = function(RED) {
 
                 const apiKey = node.apiKeyConfig.credentials.apikey;
 
+                // Initialize Google Generative AI
+                const genAI = new GoogleGenAI({apiKey: apiKey});
+
+                // Track the request so it can be cancelled or time out
+                tracked = node.requests.start(msg, config.timeout);
+
+                // Media fetched from URLs is bounded in size and aborted with the request
+                const fetchOptions = {
+                    signal: tracked.signal,
+                    maxBytes: parseFloat(config.maxDownloadSize) * 1024 * 1024
+                };
+
                 // Resolve model - use msg.model if available, otherwise use model selection
                 if (msg.model) {
                     model = msg.model;
@@ -178,7 +1291,7 @@ module.exports = function(RED) {
                         model = node.context().global.get(config.customModel);
                     } else if (config.customModelType === 'str') {
                         // Apply Mustache templating for string model names
-                        model = renderTemplate(config.customModel, msg, 'custom model');
+                        model = renderTemplate(config.customModel, msg, 'custom model', node, RED);
                     } else {
                         model = config.customModel;
                     }
@@ -191,26 +1304,17 @@ module.exports = function(RED) {
                     throw new Error('Model not specified');
                 }
 
-                // Resolve prompt - use various sources based on configuration
-                let prompt = '';
-                if (config.promptType === 'str') {
-                    // Apply Mustache templating for string prompts
-                    prompt = renderTemplate(config.prompt, msg, 'prompt');
-                } else if (config.promptType === 'msg') {
-                    prompt = msg[config.prompt] || msg.payload;
-                } else if (config.promptType === 'flow') {
-                    prompt = node.context().flow.get(config.prompt);
-                } else if (config.promptType === 'global') {
-                    prompt = node.context().global.get(config.prompt);
+                // Select the prompt library version; the version used is returned in msg.promptVersion
+                const promptVersion = node.promptConfig ? node.promptConfig.getVersion(msg.promptVersion) : null;
+                if (promptVersion) {
+                    msg = {...msg, promptVersion: promptVersion.version};
                 }
+                const promptSettings = promptVersion ? promptVersion.settings : {};
 
-                // Fallback to msg.payload if no prompt configured
-                if (!prompt && msg.payload) {
-                    prompt = typeof msg.payload === 'string' ? msg.payload : JSON.stringify(msg.payload);
-                }
-
-                if (!prompt) {
-                    throw new Error('No prompt provided');
+                // Resolve prompt - batch mode resolves one prompt per item instead
+                let prompt = null;
+                if (config.mode !== 'batch') {
+                    prompt = await resolvePrompt(msg, promptVersion);
                 }
 
                 // Process multimodal inputs
@@ -226,44 +1330,49 @@ module.exports = function(RED) {
                             multimodalConfig = [];
                         }
                     }
-                    multimodalParts = await processMultimodalInputs(multimodalConfig, msg);
+                    multimodalParts = await processMultimodalInputs(multimodalConfig, msg, fetchOptions);
                     
                     // Also check for runtime multimodal inputs from msg.multimodal
                     if (msg.multimodal && Array.isArray(msg.multimodal)) {
-                        const runtimeParts = await processMultimodalInputs(msg.multimodal, msg);
+                        const runtimeParts = await processMultimodalInputs(msg.multimodal, msg, fetchOptions);
                         multimodalParts = multimodalParts.concat(runtimeParts);
                     }
+
+                    // Large media goes through the Files API instead of inline base64
+                    multimodalParts = await uploadMedia(genAI, apiKey, multimodalParts, model, status, tracked.signal);
                 } catch (error) {
                     throw new Error(`Multimodal processing failed: ${error.message}`);
                 }
 
                 // Prepare content for API - combine text prompt with multimodal parts
-                let content;
-                if (multimodalParts.length > 0) {
+                let content = prompt;
+                if (prompt !== null && multimodalParts.length > 0) {
                     // Multimodal content: text + media
                     content = [{ text: prompt }, ...multimodalParts];
-                } else {
-                    // Text-only content
-                    content = prompt;
                 }
 
-                // Resolve system instruction
+                // Resolve system instruction - a prompt library system instruction replaces the configured one
                 let systemInstruction = null;
-                if (config.systemInstructionType === 'str' && config.systemInstruction) {
+                if (promptVersion && promptVersion.systemInstruction) {
+                    systemInstruction = renderTemplate(promptVersion.systemInstruction, msg, 'prompt library system instruction', node, RED);
+                } else if (config.systemInstructionType === 'str' && config.systemInstruction) {
                     // Apply Mustache templating for string system instructions
-                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction');
+                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction', node, RED);
                 } else if (config.systemInstructionType === 'msg') {
                     systemInstruction = msg[config.systemInstruction];
                 } else if (config.systemInstructionType === 'flow') {
                     systemInstruction = node.context().flow.get(config.systemInstruction);
                 } else if (config.systemInstructionType === 'global') {
                     systemInstruction = node.context().global.get(config.systemInstruction);
+                } else if (config.systemInstructionType === 'jsonata') {
+                    systemInstruction = await evaluateExpression(RED, config.systemInstruction, msg, 'system instruction', node);
                 } else if (msg.systemInstruction) {
                     systemInstruction = msg.systemInstruction;
                 }
 
                 // Resolve response schema for structured output
                 let responseSchema = null;
+                let responseJsonSchema = null;
                 let responseMimeType = null;
 
                 if (config.responseFormat && config.responseFormat !== 'text') {
@@ -271,38 +1380,33 @@ module.exports = function(RED) {
                     if (config.responseFormat === 'json') {
                         responseMimeType = 'application/json';
 
-                        // Build schema from properties list
+                        // Build schema from properties list, including nested objects and arrays
                         if (config.schemaPropertiesData) {
                             try {
-                                const properties = JSON.parse(config.schemaPropertiesData);
-                                if (properties.length > 0) {
-                                    const schemaProperties = {};
-                                    const required = [];
-                                    const propertyOrdering = [];
-
-                                    properties.forEach(prop => {
-                                        schemaProperties[prop.name] = { type: prop.type };
-                                        propertyOrdering.push(prop.name);
-                                        if (prop.required) {
-                                            required.push(prop.name);
-                                        }
-                                    });
-
-                                    responseSchema = {
-                                        type: 'OBJECT',
-                                        properties: schemaProperties,
-                                        propertyOrdering: propertyOrdering
-                                    };
-
-                                    if (required.length > 0) {
-                                        responseSchema.required = required;
-                                    }
-                                }
+                                responseSchema = SchemaUtils.buildSchema(JSON.parse(config.schemaPropertiesData));
                             } catch (e) {
                                 throw new Error(`Invalid schema properties: ${e.message}`);
                             }
                         }
 
+                    } else if (config.responseFormat === 'jsonSchema') {
+                        responseMimeType = 'application/json';
+
+                        // Resolve raw JSON Schema
+                        let jsonSchema = config.responseJsonSchema;
+                        if (config.responseJsonSchemaType === 'msg') {
+                            jsonSchema = msg[config.responseJsonSchema];
+                        } else if (config.responseJsonSchemaType === 'flow') {
+                            jsonSchema = node.context().flow.get(config.responseJsonSchema);
+                        } else if (config.responseJsonSchemaType === 'global') {
+                            jsonSchema = node.context().global.get(config.responseJsonSchema);
+                        }
+
+                        if (!jsonSchema) {
+                            throw new Error('JSON Schema format requires a schema');
+                        }
+                        responseJsonSchema = SchemaUtils.parseJsonSchema(jsonSchema);
+
                     } else if (config.responseFormat === 'enum') {
                         responseMimeType = 'text/x.enum';
 
@@ -323,18 +1427,115 @@ module.exports = function(RED) {
                     }
                 }
 
+                // A prompt library schema replaces the configured response format
+                if (promptVersion && promptVersion.schema) {
+                    responseMimeType = 'application/json';
+                    responseSchema = null;
+                    responseJsonSchema = promptVersion.schema;
+                }
+
                 // Validate mode support
-                if (config.mode !== 'single' && config.mode !== 'streaming' && config.mode !== 'chat') {
-                    throw new Error(`Mode '${config.mode}' is not yet supported. Currently supports: single, streaming, chat`);
+                if (config.mode !== 'single' && config.mode !== 'streaming' && config.mode !== 'chat' && config.mode !== 'batch') {
+                    throw new Error(`Mode '${config.mode}' is not yet supported. Currently supports: single, streaming, chat, batch`);
+                }
+
+                // Validate multiple candidate settings - streamed responses only carry the first candidate
+                const candidateSelection = msg.candidateSelection || config.candidateSelection || 'first';
+                if (!CANDIDATE_SELECTIONS.includes(candidateSelection)) {
+                    throw new Error(`Unknown candidate selection '${candidateSelection}'. Supported strategies: ${CANDIDATE_SELECTIONS.join(', ')}`);
+                }
+                if (parseInt(resolveParameter('candidateCount', msg, promptSettings)) > 1 && (config.mode === 'streaming' || (config.mode === 'chat' && config.streamChat))) {
+                    throw new Error('Multiple candidates are not supported with streaming responses. Use single, batch or non-streaming chat mode.');
+                }
+
+                // Built-in tools run on the API side and can be combined with each other
+                const builtInTools = [];
+                if (config.grounding) {
+                    builtInTools.push({ googleSearch: {} });
+                }
+                if (config.urlContext) {
+                    builtInTools.push({ urlContext: {} });
+                }
+                if (config.codeExecution) {
+                    builtInTools.push({ codeExecution: {} });
                 }
 
                 // Validate that grounding and structured output are not used together
                 if (config.grounding && responseMimeType) {
                     throw new Error('Grounding (Google Search) cannot be used with structured output (JSON/Enum format). Please disable one of these options.');
                 }
+                if ((config.urlContext || config.codeExecution) && responseMimeType) {
+                    throw new Error('URL context and code execution cannot be used with structured output (JSON/Enum format). Please disable one of these options.');
+                }
 
-                // Initialize Google Generative AI
-                const genAI = new GoogleGenAI({apiKey: apiKey});
+                // Resolve function declarations - msg.tools replaces the configured functions
+                let functionDeclarations = [];
+                if (msg.tools && Array.isArray(msg.tools)) {
+                    functionDeclarations = parseFunctionDeclarations(msg.tools);
+                } else if (config.functionDeclarationsData) {
+                    let configuredFunctions = [];
+                    try {
+                        configuredFunctions = JSON.parse(config.functionDeclarationsData);
+                    } catch (e) {
+                        throw new Error(`Invalid function declarations: ${e.message}`);
+                    }
+                    functionDeclarations = parseFunctionDeclarations(configuredFunctions);
+                }
+
+                if (functionDeclarations.length > 0) {
+                    if (config.mode === 'streaming' || (config.mode === 'chat' && config.streamChat)) {
+                        throw new Error('Function calling is not supported with streaming responses. Use single mode or non-streaming chat.');
+                    }
+                    if (builtInTools.length > 0) {
+                        throw new Error('Grounding (Google Search), URL context and code execution cannot be used with function calling. Please disable one of these options.');
+                    }
+                }
+
+                // Resolve context cache - msg.cachedContent names an existing cache directly
+                let cachedContent = null;
+                if (msg.cachedContent) {
+                    cachedContent = msg.cachedContent;
+                } else if (node.cacheConfig) {
+                    if (node.cacheConfig.model && node.cacheConfig.model.replace(/^models\//, '') !== model.replace(/^models\//, '')) {
+                        throw new Error(`Context cache was created for model '${node.cacheConfig.model}' but this request uses '${model}'`);
+                    }
+                    status.setProgress(model, 'preparing cache');
+                    cachedContent = await node.cacheConfig.getCacheName();
+                }
+
+                if (cachedContent) {
+                    if (systemInstruction) {
+                        throw new Error('System instruction cannot be set on a request that uses a context cache. Put it in the cache instead.');
+                    }
+                    if (builtInTools.length > 0 || functionDeclarations.length > 0) {
+                        throw new Error('Tools (grounding, URL context, code execution or function calling) cannot be used with a context cache.');
+                    }
+                }
+
+                // Build tools list from built-in tools and function declarations
+                let tools = null;
+                if (builtInTools.length > 0) {
+                    tools = builtInTools;
+                } else if (functionDeclarations.length > 0) {
+                    tools = [{ functionDeclarations: functionDeclarations }];
+                }
+
+                // Shared request settings used to build each request config
+                const requestOptions = {
+                    systemInstruction: systemInstruction,
+                    responseMimeType: responseMimeType,
+                    responseSchema: responseSchema,
+                    responseJsonSchema: responseJsonSchema,
+                    tools: tools,
+                    cachedContent: cachedContent,
+                    settings: promptSettings,
+                    abortSignal: tracked.signal
+                };
+
+                // Parsed JSON output is validated against the schema in use
+                const structured = (config.parseJson && responseMimeType === 'application/json')
+                    ? { schema: responseJsonSchema || responseSchema }
+                    : null;
 
                 if (config.mode === 'chat') {
                     // Chat (Multi-turn) mode - use msg.topic as session ID
@@ -342,7 +1543,8 @@ module.exports = function(RED) {
 
                     // Get or create chat history for this session
                     let chatHistories = node.context().get('chatHistories') || {};
-                    let chatHistory = chatHistories[sessionId] || [];
+                    // Work on a copy so the stored history only changes once a response completes
+                    let chatHistory = (chatHistories[sessionId] || []).slice();
 
                     const isNewChat = chatHistory.length === 0;
 
@@ -360,55 +1562,108 @@ module.exports = function(RED) {
                         parts: Array.isArray(content) ? content : [{ text: content }]
                     });
 
-                    // Build request with full conversation history
+                    // Apply the history policy so requests stay within the model's context window
+                    chatHistory = await applyHistoryPolicy(genAI, model, chatHistory, status, tracked.signal);
+
+                    // Build request with full conversation history, configured like the other modes.
+                    // Only the selected candidate of a multi-candidate reply is kept in the history
                     const request = {
                         model: model,
                         contents: chatHistory,
-                        config: {}
+                        config: buildRequestConfig(msg, requestOptions)
                     };
 
-                    // Add system instruction if provided
-                    if (systemInstruction) {
-                        request.config.systemInstruction = {
-                            parts: [{ text: systemInstruction }]
-                        };
+                    // Remove empty config if nothing was added
+                    if (Object.keys(request.config).length === 0) {
+                        delete request.config;
                     }
 
-                    // Add generation configuration (minimal for chat)
-                    if (config.temperature !== undefined && config.temperature !== null && config.temperature !== '') {
-                        request.config.temperature = parseFloat(config.temperature);
-                    }
+                    // Count tokens and enforce the budget; trimming drops the oldest turns first
+                    const tokenCount = await preflightTokens(genAI, request, msg, status, promptSettings);
+                    chatHistory = request.contents;
 
-                    // Add safety settings
-                    SafetyUtils.addSafetySettings(request.config, config);
+                    // Determine output property name
+                    const outputProperty = config.outputProperty || 'payload';
 
-                    // Add structured output configuration
-                    if (responseMimeType) {
-                        request.config.responseMimeType = responseMimeType;
-                    }
-                    if (responseSchema) {
-                        request.config.responseSchema = responseSchema;
-                    }
+                    let text, data, usage, safetyRatings, candidates, logprobs, groundingMetadata, urlContextMetadata, thoughts;
+                    let parts = [];
+                    let chunkCount = 0;
 
-                    // Add grounding if enabled
-                    if (config.grounding) {
-                        request.config.tools = [{ googleSearch: {} }];
-                    }
+                    if (config.streamChat) {
+                        // Stream the reply, sending chunks exactly like streaming mode
+                        const stream = await genAI.models.generateContentStream(request);
+                        let fullText = '';
+                        let lastChunk = null;
+                        const chunkLogprobs = [];
+
+                        for await (const chunk of stream) {
+                            node.requests.throwIfAborted(tracked);
+                            const chunkText = chunk.text || '';
+                            const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+                            const thoughtChunk = getThoughts(chunkParts);
+                            fullText += chunkText;
+                            chunkCount++;
+                            lastChunk = chunk;
+                            chunkLogprobs.push(getLogprobs(chunk.candidates?.[0]));
+                            groundingMetadata = chunk.candidates?.[0]?.groundingMetadata || groundingMetadata;
+                            urlContextMetadata = chunk.candidates?.[0]?.urlContextMetadata || urlContextMetadata;
+                            parts = parts.concat(chunkParts);
+
+                            // Always preserve incoming message properties
+                            const chunkMsg = {...msg};
+
+                            // Add metadata properties if passthrough is enabled
+                            if (config.passthroughProperties) {
+                                chunkMsg.model = model;
+                                chunkMsg.streaming = {
+                                    chunk: chunkCount,
+                                    isPartial: true,
+                                    fullText: fullText
+                                };
+                            }
 
-                    // Remove empty config if nothing was added
-                    if (Object.keys(request.config).length === 0) {
-                        delete request.config;
-                    }
+                            // Thought summaries arrive in their own chunks, apart from the answer text
+                            if (thoughtChunk) {
+                                chunkMsg.streaming = { ...chunkMsg.streaming, thoughtChunk: thoughtChunk };
+                            }
+
+                            // Set the chunk content to the specified output property (supports dot notation)
+                            RED.util.setMessageProperty(chunkMsg, outputProperty, chunkText);
+
+                            status.setStreamingStatus(model, chunkCount, fullText);
+                            send([chunkMsg, null]);
+                        }
 
-                    // Call the API with full history
-                    const result = await genAI.models.generateContent(request);
-                    const text = result.text;
+                        text = fullText;
+                        usage = lastChunk?.usageMetadata || null;
+                        safetyRatings = lastChunk?.candidates?.[0]?.safetyRatings || null;
+                        logprobs = mergeLogprobs(chunkLogprobs);
+                        thoughts = getThoughts(parts);
+                    } else {
+                        // Call the API with full history
+                        const generated = await generateStructured(genAI, request, msg, send, status, model, structured);
+                        text = generated.text;
+                        data = generated.data;
+                        usage = generated.result.usageMetadata || null;
+                        safetyRatings = generated.result.candidates?.[generated.index]?.safetyRatings || null;
+                        candidates = generated.candidates;
+                        logprobs = getLogprobs(generated.result.candidates?.[generated.index]);
+                        groundingMetadata = generated.result.candidates?.[generated.index]?.groundingMetadata;
+                        urlContextMetadata = generated.result.candidates?.[generated.index]?.urlContextMetadata;
+                        parts = generated.result.candidates?.[generated.index]?.content?.parts || [];
+                        thoughts = getThoughts(parts);
+                    }
 
                     // Handle cases where no text is returned
                     if (!text) {
                         throw new Error('No response text generated. This may be due to safety filters or grounding issues.');
                     }
 
+                    // A streamed reply can't be repaired, only parsed and validated
+                    if (config.streamChat) {
+                        data = structured ? parseStructuredOutput(text, structured.schema) : text;
+                    }
+
                     // Add the model's response to the history
                     chatHistory.push({
                         role: 'model',
@@ -419,8 +1674,14 @@ module.exports = function(RED) {
                     chatHistories[sessionId] = chatHistory;
                     node.context().set('chatHistories', chatHistories);
 
-                    // Determine output property name
-                    const outputProperty = config.outputProperty || 'payload';
+                    // Track session timestamps for chat control messages
+                    const sessionInfo = node.context().get('chatSessionInfo') || {};
+                    const now = new Date().toISOString();
+                    sessionInfo[sessionId] = {
+                        createdAt: sessionInfo[sessionId]?.createdAt || now,
+                        updatedAt: now
+                    };
+                    node.context().set('chatSessionInfo', sessionInfo);
 
                     // Prepare success response with chat metadata
                     // Always preserve incoming message properties
@@ -429,23 +1690,63 @@ module.exports = function(RED) {
                     // Add additional metadata properties if passthrough is enabled
                     if (config.passthroughProperties) {
                         successMsg.model = model;
-                        successMsg.usage = result.usageMetadata || null;
-                        successMsg.safetyRatings = result.candidates?.[0]?.safetyRatings || null;
+                        successMsg.usage = usage;
+                        successMsg.safetyRatings = safetyRatings;
                         successMsg.grounding = config.grounding || false;
                         successMsg.chat = {
                             sessionId: sessionId,
                             historyLength: chatHistory.length
                         };
+
+                        // Mark the final message of a streamed reply like streaming mode does
+                        if (config.streamChat) {
+                            successMsg.streaming = {
+                                chunk: chunkCount + 1,
+                                isPartial: false,
+                                totalChunks: chunkCount,
+                                fullText: text,
+                                isComplete: true
+                            };
+                        }
+                    }
+
+                    // Input token count from the preflight check
+                    if (tokenCount !== null) {
+                        successMsg.tokenCount = tokenCount;
+                    }
+
+                    // All candidates when more than one was generated
+                    if (candidates) {
+                        successMsg.candidates = candidates;
+                    }
+
+                    // Token logprobs of the reply when requested
+                    if (logprobs) {
+                        successMsg.logprobs = logprobs;
+                    }
+
+                    // Thought summaries when thoughts are included
+                    if (thoughts) {
+                        successMsg.thoughts = thoughts;
                     }
 
-                    // Set the generated content to the specified output property (supports dot notation)
-                    RED.util.setMessageProperty(successMsg, outputProperty, text);
+                    // Search queries, sources and supported segments of a grounded reply
+                    if (groundingMetadata) {
+                        successMsg.groundingMetadata = groundingMetadata;
+                    }
+
+                    // Code execution steps and retrieved URLs
+                    addToolOutputs(successMsg, parts, urlContextMetadata);
+
+                    // Post-process the generated content for the specified output property (supports dot notation)
+                    // Citations and post-processing only go to the output, the history keeps the plain reply
+                    const output = postProcess(applyCitations(data, groundingMetadata));
 
                     // Show chat success status
-                    const tokens = result.usageMetadata?.totalTokenCount || status.estimateTokens(text);
+                    const tokens = usage?.totalTokenCount || status.estimateTokens(text);
                     status.setSuccess(model, 'chat completed', { tokens: tokens });
 
-                    send([successMsg, null]);
+                    sendOutput(send, successMsg, outputProperty, output);
                     done();
 
                 } else if (config.mode === 'streaming') {
@@ -457,135 +1758,44 @@ module.exports = function(RED) {
                     const request = {
                         model: model,
                         contents: [{
+                            role: 'user',
                             parts: Array.isArray(content) ? content : [{ text: content }]
                         }],
-                        config: {}
+                        config: buildRequestConfig(msg, requestOptions)
                     };
 
-                    // Add system instruction if provided
-                    if (systemInstruction) {
-                        request.config.systemInstruction = {
-                            parts: [{ text: systemInstruction }]
-                        };
-                    }
-
-                    // Resolve thinking budget
-                    let thinkingBudget = config.thinkingBudget;
-                    if (config.thinkingBudgetType === 'msg' && msg[config.thinkingBudget] !== undefined) {
-                        thinkingBudget = msg[config.thinkingBudget];
-                    } else if (config.thinkingBudgetType === 'flow') {
-                        thinkingBudget = node.context().flow.get(config.thinkingBudget);
-                    } else if (config.thinkingBudgetType === 'global') {
-                        thinkingBudget = node.context().global.get(config.thinkingBudget);
-                    } else if (msg.thinkingBudget !== undefined) {
-                        thinkingBudget = msg.thinkingBudget;
-                    }
-
-                    if (thinkingBudget !== undefined && thinkingBudget !== null && thinkingBudget !== '') {
-                        request.config.thinkingBudget = parseInt(thinkingBudget);
-                    }
-
-                    // Add includeThoughts if enabled
-                    if (config.includeThoughts || msg.includeThoughts) {
-                        request.config.includeThoughts = true;
-                    }
-
-                    // Resolve temperature
-                    let temperature = config.temperature;
-                    if (config.temperatureType === 'msg' && msg[config.temperature] !== undefined) {
-                        temperature = msg[config.temperature];
-                    } else if (config.temperatureType === 'flow') {
-                        temperature = node.context().flow.get(config.temperature);
-                    } else if (config.temperatureType === 'global') {
-                        temperature = node.context().global.get(config.temperature);
-                    } else if (msg.temperature !== undefined) {
-                        temperature = msg.temperature;
-                    }
-
-                    if (temperature !== undefined && temperature !== null && temperature !== '') {
-                        request.config.temperature = parseFloat(temperature);
-                    }
-
-                    // Resolve topP
-                    let topP = config.topP;
-                    if (config.topPType === 'msg' && msg[config.topP] !== undefined) {
-                        topP = msg[config.topP];
-                    } else if (config.topPType === 'flow') {
-                        topP = node.context().flow.get(config.topP);
-                    } else if (config.topPType === 'global') {
-                        topP = node.context().global.get(config.topP);
-                    } else if (msg.topP !== undefined) {
-                        topP = msg.topP;
-                    }
-
-                    if (topP !== undefined && topP !== null && topP !== '') {
-                        request.config.topP = parseFloat(topP);
-                    }
-
-                    // Resolve topK
-                    let topK = config.topK;
-                    if (config.topKType === 'msg' && msg[config.topK] !== undefined) {
-                        topK = msg[config.topK];
-                    } else if (config.topKType === 'flow') {
-                        topK = node.context().flow.get(config.topK);
-                    } else if (config.topKType === 'global') {
-                        topK = node.context().global.get(config.topK);
-                    } else if (msg.topK !== undefined) {
-                        topK = msg.topK;
-                    }
-
-                    if (topK !== undefined && topK !== null && topK !== '') {
-                        request.config.topK = parseInt(topK);
-                    }
-
-                    // Resolve maxOutputTokens
-                    let maxOutputTokens = config.maxOutputTokens;
-                    if (config.maxOutputTokensType === 'msg' && msg[config.maxOutputTokens] !== undefined) {
-                        maxOutputTokens = msg[config.maxOutputTokens];
-                    } else if (config.maxOutputTokensType === 'flow') {
-                        maxOutputTokens = node.context().flow.get(config.maxOutputTokens);
-                    } else if (config.maxOutputTokensType === 'global') {
-                        maxOutputTokens = node.context().global.get(config.maxOutputTokens);
-                    } else if (msg.maxOutputTokens !== undefined) {
-                        maxOutputTokens = msg.maxOutputTokens;
-                    }
-
-                    if (maxOutputTokens !== undefined && maxOutputTokens !== null && maxOutputTokens !== '') {
-                        request.config.maxOutputTokens = parseInt(maxOutputTokens);
-                    }
-
-                    // Add safety settings using shared utility
-                    SafetyUtils.addSafetySettings(request.config, config);
-
-                    // Add structured output configuration
-                    if (responseMimeType) {
-                        request.config.responseMimeType = responseMimeType;
-                    }
-                    if (responseSchema) {
-                        request.config.responseSchema = responseSchema;
-                    }
-
-                    // Add grounding if enabled
-                    if (config.grounding) {
-                        request.config.tools = [{ googleSearch: {} }];
-                    }
-
                     // Remove empty config if nothing was added
                     if (Object.keys(request.config).length === 0) {
                         delete request.config;
                     }
 
+                    // Count tokens and enforce the budget before sending
+                    const tokenCount = await preflightTokens(genAI, request, msg, status, promptSettings);
+
                     // Determine output property name
                     const outputProperty = config.outputProperty || 'payload';
 
                     const result = await genAI.models.generateContentStream(request);
                     let chunkCount = 0;
                     let fullText = '';
+                    const chunkLogprobs = [];
+                    let groundingMetadata = null;
+                    let urlContextMetadata = null;
+                    let parts = [];
+                    let lastChunk = null;
 
                     for await (const chunk of result) {
+                        node.requests.throwIfAborted(tracked);
                         const chunkText = chunk.text || '';
+                        const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+                        const thoughtChunk = getThoughts(chunkParts);
                         fullText += chunkText;
                         chunkCount++;
+                        lastChunk = chunk;
+                        chunkLogprobs.push(getLogprobs(chunk.candidates?.[0]));
+                        groundingMetadata = chunk.candidates?.[0]?.groundingMetadata || groundingMetadata;
+                        urlContextMetadata = chunk.candidates?.[0]?.urlContextMetadata || urlContextMetadata;
+                        parts = parts.concat(chunkParts);
 
                         // Send each chunk as a separate message
                         // Always preserve incoming message properties
@@ -601,6 +1811,11 @@ module.exports = function(RED) {
                             };
                         }
 
+                        // Thought summaries arrive in their own chunks, apart from the answer text
+                        if (thoughtChunk) {
+                            chunkMsg.streaming = { ...chunkMsg.streaming, thoughtChunk: thoughtChunk };
+                        }
+
                         // Set the chunk content to the specified output property (supports dot notation)
                         RED.util.setMessageProperty(chunkMsg, outputProperty, chunkText);
 
@@ -614,6 +1829,9 @@ module.exports = function(RED) {
                         throw new Error('No response text generated. This may be due to safety filters or grounding issues.');
                     }
 
+                    // A streamed response can't be repaired, only parsed and validated
+                    const data = structured ? parseStructuredOutput(fullText, structured.schema) : fullText;
+
                     // Send final message with complete response
                     // Always preserve incoming message properties
                     const finalMsg = {...msg};
@@ -621,8 +1839,8 @@ module.exports = function(RED) {
                     // Add metadata properties if passthrough is enabled
                     if (config.passthroughProperties) {
                         finalMsg.model = model;
-                        finalMsg.usage = result.response?.usageMetadata || null;
-                        finalMsg.safetyRatings = result.response?.candidates?.[0]?.safetyRatings || null;
+                        finalMsg.usage = lastChunk?.usageMetadata || null;
+                        finalMsg.safetyRatings = lastChunk?.candidates?.[0]?.safetyRatings || null;
                         finalMsg.grounding = config.grounding || false;
                         finalMsg.streaming = {
                             chunk: chunkCount + 1,
@@ -633,17 +1851,206 @@ module.exports = function(RED) {
                         };
                     }
 
-                    // Set the complete text to the specified output property (supports dot notation)
-                    RED.util.setMessageProperty(finalMsg, outputProperty, fullText);
+                    // Input token count from the preflight check
+                    if (tokenCount !== null) {
+                        finalMsg.tokenCount = tokenCount;
+                    }
+
+                    // Token logprobs of the complete response when requested
+                    const logprobs = mergeLogprobs(chunkLogprobs);
+                    if (logprobs) {
+                        finalMsg.logprobs = logprobs;
+                    }
+
+                    // Thought summaries of every chunk when thoughts are included
+                    const thoughts = getThoughts(parts);
+                    if (thoughts) {
+                        finalMsg.thoughts = thoughts;
+                    }
+
+                    // Search queries, sources and supported segments of a grounded response
+                    if (groundingMetadata) {
+                        finalMsg.groundingMetadata = groundingMetadata;
+                    }
+
+                    // Code execution steps and retrieved URLs
+                    addToolOutputs(finalMsg, parts, urlContextMetadata);
+
+                    // Post-process the complete text for the specified output property (supports dot notation)
+                    const output = postProcess(applyCitations(data, groundingMetadata));
 
                     // Show streaming success status
-                    const tokens = status.estimateTokens(fullText);
+                    const tokens = lastChunk?.usageMetadata?.totalTokenCount || status.estimateTokens(fullText);
                     status.setSuccess(model, 'streaming completed', { 
                         tokens: tokens,
                         duration: true // Show timing
                     });
                     
-                    send([finalMsg, null]);
+                    sendOutput(send, finalMsg, outputProperty, output);
+                    done();
+
+                } else if (config.mode === 'batch') {
+                    // Batch mode - process an array of prompts with limited parallelism
+                    const items = msg.payload;
+                    if (!Array.isArray(items) || items.length === 0) {
+                        throw new Error('Batch mode requires msg.payload to be a non-empty array of prompts');
+                    }
+
+                    const concurrency = Math.max(1, parseInt(msg.batchConcurrency || config.batchConcurrency) || 3);
+                    const retries = (config.batchRetries === undefined || config.batchRetries === '') ? 2 : Math.max(0, parseInt(config.batchRetries) || 0);
+
+                    let completed = 0;
+                    status.setProgress(model, 'batch', { additional: `0/${items.length}` });
+
+                    const results = await runWithConcurrency(items, concurrency, async (item, index) => {
+                        try {
+                            node.requests.throwIfAborted(tracked);
+
+                            // Each item becomes the payload of its own message so prompt templates apply per item
+                            const isObjectItem = item && typeof item === 'object' && !Array.isArray(item) && item.prompt !== undefined;
+                            const itemMsg = {...msg, payload: isObjectItem ? item.prompt : item};
+
+                            // A prompt read from a msg property would be the same for every item, so the item is the prompt instead
+                            let itemPrompt;
+                            if (config.promptType === 'msg' && !(promptVersion && promptVersion.template)) {
+                                itemPrompt = typeof itemMsg.payload === 'string' ? itemMsg.payload : JSON.stringify(itemMsg.payload);
+                                if (!itemPrompt) {
+                                    throw new Error('No prompt provided');
+                                }
+                            } else {
+                                itemPrompt = await resolvePrompt(itemMsg, promptVersion);
+                            }
+
+                            // Configured media is shared by every item, item media is added after it
+                            let parts = [{ text: itemPrompt }, ...multimodalParts];
+                            if (isObjectItem && Array.isArray(item.multimodal)) {
+                                try {
+                                    const itemParts = await processMultimodalInputs(item.multimodal, itemMsg, fetchOptions);
+                                    parts = parts.concat(await uploadMedia(genAI, apiKey, itemParts, model, status, tracked.signal));
+                                } catch (error) {
+                                    throw new Error(`Multimodal processing failed: ${error.message}`);
+                                }
+                            }
+
+                            const request = {
+                                model: model,
+                                contents: [{ role: 'user', parts: parts }],
+                                config: buildRequestConfig(itemMsg, requestOptions)
+                            };
+
+                            // Remove empty config if nothing was added
+                            if (Object.keys(request.config).length === 0) {
+                                delete request.config;
+                            }
+
+                            // Count tokens and enforce the budget for this item
+                            const tokenCount = await preflightTokens(genAI, request, itemMsg, status, promptSettings);
+
+                            // Function calling adds turns to the contents it is given, so every attempt starts from a copy of the original
+                            const generated = await withRateLimitRetry(() => generateStructured(genAI, { ...request, contents: request.contents.slice() }, itemMsg, send, status, model, structured), retries, tracked.signal);
+                            const result = generated.result;
+
+                            if (!generated.text) {
+                                throw new Error('No response text generated. This may be due to safety filters or grounding issues.');
+                            }
+
+                            const groundingMetadata = result.candidates?.[generated.index]?.groundingMetadata;
+                            const itemResult = {
+                                index: index,
+                                success: true,
+                                text: postProcess(applyCitations(generated.data, groundingMetadata)),
+                                usage: result.usageMetadata || null,
+                                error: null
+                            };
+
+                            if (tokenCount !== null) {
+                                itemResult.tokenCount = tokenCount;
+                            }
+
+                            if (generated.candidates) {
+                                itemResult.candidates = generated.candidates;
+                            }
+
+                            const logprobs = getLogprobs(result.candidates?.[generated.index]);
+                            if (logprobs) {
+                                itemResult.logprobs = logprobs;
+                            }
+
+                            if (groundingMetadata) {
+                                itemResult.groundingMetadata = groundingMetadata;
+                            }
+
+                            const candidate = result.candidates?.[generated.index];
+                            const thoughts = getThoughts(candidate?.content?.parts);
+                            if (thoughts) {
+                                itemResult.thoughts = thoughts;
+                            }
+
+                            addToolOutputs(itemResult, candidate?.content?.parts, candidate?.urlContextMetadata);
+
+                            return itemResult;
+                        } catch (error) {
+                            // Capture the failure on the item so the rest of the batch still completes
+                            return {
+                                index: index,
+                                success: false,
+                                text: null,
+                                usage: null,
+                                error: {
+                                    message: error.message,
+                                    code: error.code || 'UNKNOWN_ERROR',
+                                    details: error.details || null
+                                }
+                            };
+                        } finally {
+                            completed++;
+                            status.setProgress(model, 'batch', { additional: `${completed}/${items.length}` });
+                        }
+                    });
+
+                    // A cancelled batch fails as a whole rather than reporting every item as failed
+                    node.requests.throwIfAborted(tracked);
+
+                    // Aggregate token usage across successful items
+                    const usage = { promptTokenCount: 0, candidatesTokenCount: 0, thoughtsTokenCount: 0, totalTokenCount: 0 };
+                    results.forEach(item => {
+                        if (item.usage) {
+                            usage.promptTokenCount += item.usage.promptTokenCount || 0;
+                            usage.candidatesTokenCount += item.usage.candidatesTokenCount || 0;
+                            usage.thoughtsTokenCount += item.usage.thoughtsTokenCount || 0;
+                            usage.totalTokenCount += item.usage.totalTokenCount || 0;
+                        }
+                    });
+                    const failed = results.filter(item => !item.success).length;
+
+                    // Determine output property name
+                    const outputProperty = config.outputProperty || 'payload';
+
+                    // Prepare aggregated response
+                    // Always preserve incoming message properties
+                    let successMsg = {...msg};
+
+                    // Add additional metadata properties if passthrough is enabled
+                    if (config.passthroughProperties) {
+                        successMsg.model = model;
+                        successMsg.usage = usage;
+                        successMsg.grounding = config.grounding || false;
+                        successMsg.batch = {
+                            total: results.length,
+                            succeeded: results.length - failed,
+                            failed: failed,
+                            concurrency: concurrency
+                        };
+                    }
+
+                    // Set the per-item results to the specified output property (supports dot notation)
+                    RED.util.setMessageProperty(successMsg, outputProperty, results);
+
+                    // Show batch success status
+                    const operation = failed > 0 ? `batch done, ${failed} failed` : 'batch completed';
+                    status.setSuccess(model, operation, { tokens: usage.totalTokenCount });
+
+                    send([successMsg, null]);
                     done();
 
                 } else {
@@ -654,14 +2061,10 @@ module.exports = function(RED) {
                     if (config.grounding && isMultimodal) {
                         operation = 'analyzing+search';
                         // Show multimodal status
-                        const imageCount = multimodalParts.filter(p => p.inlineData && p.inlineData.mimeType.startsWith('image')).length;
-                        const videoCount = multimodalParts.filter(p => p.inlineData && p.inlineData.mimeType.startsWith('video')).length;
-                        status.setMultimodalStatus(model, { imageCount, videoCount });
+                        status.setMultimodalStatus(model, countMedia(multimodalParts));
                     } else if (isMultimodal) {
                         operation = 'analyzing';
-                        const imageCount = multimodalParts.filter(p => p.inlineData && p.inlineData.mimeType.startsWith('image')).length;
-                        const videoCount = multimodalParts.filter(p => p.inlineData && p.inlineData.mimeType.startsWith('video')).length;
-                        status.setMultimodalStatus(model, { imageCount, videoCount });
+                        status.setMultimodalStatus(model, countMedia(multimodalParts));
                     } else if (config.grounding) {
                         operation = 'generating+search';
                         status.setProgress(model, operation);
@@ -674,126 +2077,23 @@ module.exports = function(RED) {
                     const request = {
                         model: model,
                         contents: [{
+                            role: 'user',
                             parts: Array.isArray(content) ? content : [{ text: content }]
                         }],
-                        config: {}
+                        config: buildRequestConfig(msg, requestOptions)
                     };
 
-                    // Add system instruction if provided
-                    if (systemInstruction) {
-                        request.config.systemInstruction = {
-                            parts: [{ text: systemInstruction }]
-                        };
-                    }
-
-                    // Resolve thinking budget
-                    let thinkingBudget = config.thinkingBudget;
-                    if (config.thinkingBudgetType === 'msg' && msg[config.thinkingBudget] !== undefined) {
-                        thinkingBudget = msg[config.thinkingBudget];
-                    } else if (config.thinkingBudgetType === 'flow') {
-                        thinkingBudget = node.context().flow.get(config.thinkingBudget);
-                    } else if (config.thinkingBudgetType === 'global') {
-                        thinkingBudget = node.context().global.get(config.thinkingBudget);
-                    } else if (msg.thinkingBudget !== undefined) {
-                        thinkingBudget = msg.thinkingBudget;
-                    }
-
-                    if (thinkingBudget !== undefined && thinkingBudget !== null && thinkingBudget !== '') {
-                        request.config.thinkingBudget = parseInt(thinkingBudget);
-                    }
-
-                    // Add includeThoughts if enabled
-                    if (config.includeThoughts || msg.includeThoughts) {
-                        request.config.includeThoughts = true;
-                    }
-
-                    // Resolve temperature
-                    let temperature = config.temperature;
-                    if (config.temperatureType === 'msg' && msg[config.temperature] !== undefined) {
-                        temperature = msg[config.temperature];
-                    } else if (config.temperatureType === 'flow') {
-                        temperature = node.context().flow.get(config.temperature);
-                    } else if (config.temperatureType === 'global') {
-                        temperature = node.context().global.get(config.temperature);
-                    } else if (msg.temperature !== undefined) {
-                        temperature = msg.temperature;
-                    }
-
-                    if (temperature !== undefined && temperature !== null && temperature !== '') {
-                        request.config.temperature = parseFloat(temperature);
-                    }
-
-                    // Resolve topP
-                    let topP = config.topP;
-                    if (config.topPType === 'msg' && msg[config.topP] !== undefined) {
-                        topP = msg[config.topP];
-                    } else if (config.topPType === 'flow') {
-                        topP = node.context().flow.get(config.topP);
-                    } else if (config.topPType === 'global') {
-                        topP = node.context().global.get(config.topP);
-                    } else if (msg.topP !== undefined) {
-                        topP = msg.topP;
-                    }
-
-                    if (topP !== undefined && topP !== null && topP !== '') {
-                        request.config.topP = parseFloat(topP);
-                    }
-
-                    // Resolve topK
-                    let topK = config.topK;
-                    if (config.topKType === 'msg' && msg[config.topK] !== undefined) {
-                        topK = msg[config.topK];
-                    } else if (config.topKType === 'flow') {
-                        topK = node.context().flow.get(config.topK);
-                    } else if (config.topKType === 'global') {
-                        topK = node.context().global.get(config.topK);
-                    } else if (msg.topK !== undefined) {
-                        topK = msg.topK;
-                    }
-
-                    if (topK !== undefined && topK !== null && topK !== '') {
-                        request.config.topK = parseInt(topK);
-                    }
-
-                    // Resolve maxOutputTokens
-                    let maxOutputTokens = config.maxOutputTokens;
-                    if (config.maxOutputTokensType === 'msg' && msg[config.maxOutputTokens] !== undefined) {
-                        maxOutputTokens = msg[config.maxOutputTokens];
-                    } else if (config.maxOutputTokensType === 'flow') {
-                        maxOutputTokens = node.context().flow.get(config.maxOutputTokens);
-                    } else if (config.maxOutputTokensType === 'global') {
-                        maxOutputTokens = node.context().global.get(config.maxOutputTokens);
-                    } else if (msg.maxOutputTokens !== undefined) {
-                        maxOutputTokens = msg.maxOutputTokens;
-                    }
-
-                    if (maxOutputTokens !== undefined && maxOutputTokens !== null && maxOutputTokens !== '') {
-                        request.config.maxOutputTokens = parseInt(maxOutputTokens);
-                    }
-
-                    // Add safety settings using shared utility
-                    SafetyUtils.addSafetySettings(request.config, config);
-
-                    // Add structured output configuration
-                    if (responseMimeType) {
-                        request.config.responseMimeType = responseMimeType;
-                    }
-                    if (responseSchema) {
-                        request.config.responseSchema = responseSchema;
-                    }
-
-                    // Add grounding if enabled
-                    if (config.grounding) {
-                        request.config.tools = [{ googleSearch: {} }];
-                    }
-
                     // Remove empty config if nothing was added
                     if (Object.keys(request.config).length === 0) {
                         delete request.config;
                     }
 
-                    const result = await genAI.models.generateContent(request);
-                    const text = result.text;
+                    // Count tokens and enforce the budget before sending
+                    const tokenCount = await preflightTokens(genAI, request, msg, status, promptSettings);
+
+                    const generated = await generateStructured(genAI, request, msg, send, status, model, structured);
+                    const result = generated.result;
+                    const text = generated.text;
 
                     // Handle cases where no text is returned
                     if (!text) {
@@ -811,22 +2111,63 @@ module.exports = function(RED) {
                     if (config.passthroughProperties) {
                         successMsg.model = model;
                         successMsg.usage = result.usageMetadata || null;
-                        successMsg.safetyRatings = result.candidates?.[0]?.safetyRatings || null;
+                        successMsg.safetyRatings = result.candidates?.[generated.index]?.safetyRatings || null;
                         successMsg.grounding = config.grounding || false;
                     }
 
-                    // Set the generated content to the specified output property (supports dot notation)
-                    RED.util.setMessageProperty(successMsg, outputProperty, text);
+                    // Input token count from the preflight check
+                    if (tokenCount !== null) {
+                        successMsg.tokenCount = tokenCount;
+                    }
+
+                    // All candidates when more than one was generated
+                    if (generated.candidates) {
+                        successMsg.candidates = generated.candidates;
+                    }
+
+                    // Token logprobs of the selected candidate when requested
+                    const logprobs = getLogprobs(result.candidates?.[generated.index]);
+                    if (logprobs) {
+                        successMsg.logprobs = logprobs;
+                    }
+
+                    // Search queries, sources and supported segments of a grounded response
+                    const groundingMetadata = result.candidates?.[generated.index]?.groundingMetadata;
+                    if (groundingMetadata) {
+                        successMsg.groundingMetadata = groundingMetadata;
+                    }
+
+                    // Thought summaries of the selected candidate when thoughts are included
+                    const candidate = result.candidates?.[generated.index];
+                    const thoughts = getThoughts(candidate?.content?.parts);
+                    if (thoughts) {
+                        successMsg.thoughts = thoughts;
+                    }
+
+                    // Code execution steps and retrieved URLs
+                    addToolOutputs(successMsg, candidate?.content?.parts, candidate?.urlContextMetadata);
+
+                    // Post-process the generated content for the specified output property (supports dot notation)
+                    const output = postProcess(applyCitations(generated.data, groundingMetadata));
 
                     // Show success status with metrics
                     const tokens = result.usageMetadata?.totalTokenCount || status.estimateTokens(text);
                     status.setSuccess(model, 'completed', { tokens: tokens });
                     
-                    send([successMsg, null]);
+                    sendOutput(send, successMsg, outputProperty, output);
                     done();
                 }
 
             } catch (error) {
+                // Nothing is sent for requests aborted because the node closed
+                if (tracked && node.requests.wasClosed(tracked)) {
+                    done();
+                    return;
+                }
+
+                // Aborted calls fail with whatever the SDK throws, so report them as cancelled or timed out
+                error = node.requests.toError(tracked, error);
+
                 // Prepare error response - original message with error object attached
                 const errorMsg = {
                     ...msg,  // Preserve ALL original message properties
@@ -841,7 +2182,8 @@ module.exports = function(RED) {
 
                 // Set contextual error status
                 const operation = config.mode === 'chat' ? 'chat' :
-                                config.mode === 'streaming' ? 'streaming' : 'generation';
+                                config.mode === 'streaming' ? 'streaming' :
+                                config.mode === 'batch' ? 'batch' : 'generation';
                 status.setError(model || 'gemini', error, { operation: operation });
 
                 // Make error catchable by catch nodes
@@ -850,11 +2192,21 @@ module.exports = function(RED) {
                 // Route to second output port - flow continues, never halts
                 send([null, errorMsg]);
                 done(); // Complete successfully - no error passed to done()
+            } finally {
+                if (tracked) {
+                    node.requests.finish(tracked);
+                }
             }
         });
 
         // Clear status when node is being destroyed
         this.on('close', function() {
+            // Abort running requests
+            node.requests.cancelAll();
+
+            // Fail any requests still waiting on function results
+            node.pendingFunctionCalls.forEach(pending => pending.reject(new Error('Node closed while waiting for function results')));
+            node.pendingFunctionCalls.clear();
             node.status({});
         });
     }
@@ -4,31 +4,12 @@ module.exports = function(RED) {
     const { GoogleGenAI } = require('@google/genai');
     const fs = require('fs');
     const path = require('path');
-    const https = require('https');
-    const http = require('http');
-    const { renderTemplate } = require('./template-utils');
+    const { renderTemplate, evaluateExpression } = require('./template-utils');
     const NodeStatus = require('./status-utils');
     const SafetyUtils = require('./safety-utils');
-
-    // Helper function to fetch data from URL
-    async function fetchFromUrl(url) {
-        return new Promise((resolve, reject) => {
-            const client = url.startsWith('https:') ? https : http;
-            client.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    return;
-                }
-                
-                const chunks = [];
-                response.on('data', chunk => chunks.push(chunk));
-                response.on('end', () => {
-                    const buffer = Buffer.concat(chunks);
-                    resolve(buffer);
-                });
-            }).on('error', reject);
-        });
-    }
+    const MimeUtils = require('./mime-utils');
+    const FetchUtils = require('./fetch-utils');
+    const RequestTracker = require('./cancel-utils');
 
     // Helper function to read file from filesystem
     async function readFromFile(filePath) {
@@ -65,6 +46,12 @@ module.exports = function(RED) {
         // Get the API key config node
         this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
 
+        // Get the optional prompt library config node
+        this.promptConfig = config.promptLibrary ? RED.nodes.getNode(config.promptLibrary) : null;
+
+        // In-flight requests, aborted on close, by msg.cancel or when their timeout elapses
+        this.requests = new RequestTracker();
+
         this.on('input', async function(msg, send, done) {
             // Use send and done for Node-RED 1.0+ compatibility
             send = send || function() { node.send.apply(node, arguments); };
@@ -73,9 +60,24 @@ module.exports = function(RED) {
             // Initialize status tracker
             const status = new NodeStatus(node);
 
+            // Initialize variables that may be referenced in error handler
+            let model = null;
+            let tracked = null;
+
             try {
-                // Initialize variables that may be referenced in error handler
-                let model = null;
+                // Cancel messages abort running requests - all of them, or those matching msg.cancel._msgid or msg.cancel.topic
+                if (msg.cancel) {
+                    const cancelled = node.requests.cancel(msg.cancel);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', { cancelled: cancelled });
+
+                    status.setSuccess(config.modelSelection, `cancelled ${cancelled}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
 
                 // Validate API key
                 if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
@@ -97,7 +99,7 @@ module.exports = function(RED) {
                         model = node.context().global.get(config.customModel);
                     } else if (config.customModelType === 'str') {
                         // Apply Mustache templating for string model names
-                        model = renderTemplate(config.customModel, msg, 'custom model');
+                        model = renderTemplate(config.customModel, msg, 'custom model', node, RED);
                     } else {
                         model = config.customModel;
                     }
@@ -110,17 +112,28 @@ module.exports = function(RED) {
                     throw new Error('Model not specified');
                 }
 
-                // Resolve prompt - use various sources based on configuration
+                // Select the prompt library version; the version used is returned in msg.promptVersion
+                const promptVersion = node.promptConfig ? node.promptConfig.getVersion(msg.promptVersion) : null;
+                if (promptVersion) {
+                    msg = {...msg, promptVersion: promptVersion.version};
+                }
+                const settings = promptVersion ? promptVersion.settings : {};
+
+                // Resolve prompt - a prompt library template replaces the configured source
                 let prompt = '';
-                if (config.promptType === 'str') {
+                if (promptVersion && promptVersion.template) {
+                    prompt = renderTemplate(promptVersion.template, msg, 'prompt template', node, RED);
+                } else if (config.promptType === 'str') {
                     // Apply Mustache templating for string prompts
-                    prompt = renderTemplate(config.prompt, msg, 'prompt');
+                    prompt = renderTemplate(config.prompt, msg, 'prompt', node, RED);
                 } else if (config.promptType === 'msg') {
                     prompt = msg[config.prompt] || msg.payload;
                 } else if (config.promptType === 'flow') {
                     prompt = node.context().flow.get(config.prompt);
                 } else if (config.promptType === 'global') {
                     prompt = node.context().global.get(config.prompt);
+                } else if (config.promptType === 'jsonata') {
+                    prompt = await evaluateExpression(RED, config.prompt, msg, 'prompt', node);
                 }
 
                 // Fallback to msg.payload if no prompt configured
@@ -132,17 +145,21 @@ module.exports = function(RED) {
                     throw new Error('No prompt provided');
                 }
 
-                // Resolve system instruction
+                // Resolve system instruction - a prompt library system instruction replaces the configured one
                 let systemInstruction = null;
-                if (config.systemInstructionType === 'str' && config.systemInstruction) {
+                if (promptVersion && promptVersion.systemInstruction) {
+                    systemInstruction = renderTemplate(promptVersion.systemInstruction, msg, 'prompt library system instruction', node, RED);
+                } else if (config.systemInstructionType === 'str' && config.systemInstruction) {
                     // Apply Mustache templating for string system instructions
-                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction');
+                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction', node, RED);
                 } else if (config.systemInstructionType === 'msg') {
                     systemInstruction = msg[config.systemInstruction];
                 } else if (config.systemInstructionType === 'flow') {
                     systemInstruction = node.context().flow.get(config.systemInstruction);
                 } else if (config.systemInstructionType === 'global') {
                     systemInstruction = node.context().global.get(config.systemInstruction);
+                } else if (config.systemInstructionType === 'jsonata') {
+                    systemInstruction = await evaluateExpression(RED, config.systemInstruction, msg, 'system instruction', node);
                 } else if (msg.systemInstruction) {
                     systemInstruction = msg.systemInstruction;
                 }
@@ -157,6 +174,8 @@ module.exports = function(RED) {
                     numberOfImages = node.context().global.get(config.numberOfImages);
                 } else if (msg.numberOfImages) {
                     numberOfImages = msg.numberOfImages;
+                } else if (settings.numberOfImages) {
+                    numberOfImages = settings.numberOfImages;
                 }
 
                 // Validate numberOfImages
@@ -166,7 +185,7 @@ module.exports = function(RED) {
                 }
 
                 // Resolve aspect ratio
-                let aspectRatio = config.aspectRatio;
+                let aspectRatio = settings.aspectRatio || config.aspectRatio;
                 if (msg.aspectRatio) {
                     aspectRatio = msg.aspectRatio;
                 }
@@ -180,6 +199,15 @@ module.exports = function(RED) {
                 // Initialize Google Generative AI
                 const genAI = new GoogleGenAI({apiKey: apiKey});
 
+                // Track the request so it can be cancelled or time out
+                tracked = node.requests.start(msg, config.timeout);
+
+                // Images fetched from URLs are bounded in size and aborted with the request
+                const fetchOptions = {
+                    signal: tracked.signal,
+                    maxBytes: parseFloat(config.maxDownloadSize) * 1024 * 1024
+                };
+
                 // Process input images for editing (check msg.inputImages)
                 // Handle both single image and array of images
                 let inputImages = [];
@@ -214,13 +242,13 @@ module.exports = function(RED) {
                         inputFilePath = node.context().global.get(config.inputFile);
                     } else if (config.inputFileType === 'str') {
                         // Apply Mustache templating for string file paths
-                        inputFilePath = renderTemplate(config.inputFile, msg, 'input file path');
+                        inputFilePath = renderTemplate(config.inputFile, msg, 'input file path', node, RED);
                     }
 
                     if (inputFilePath && inputFilePath.trim()) {
                         try {
                             const fileBuffer = await readFromFile(inputFilePath);
-                            const mimeType = getMimeType(inputFilePath);
+                            const mimeType = MimeUtils.resolve(fileBuffer, null, getMimeType(inputFilePath));
                             const imageData = fileBuffer.toString('base64');
                             
                             contentParts.push({
@@ -252,20 +280,29 @@ module.exports = function(RED) {
                                 }
                             } else if (inputImage.startsWith('http')) {
                                 // URL - fetch the image
-                                const imageBuffer = await fetchFromUrl(inputImage);
-                                mimeType = getMimeType(inputImage);
-                                imageData = imageBuffer.toString('base64');
+                                const fetched = await FetchUtils.fetch(inputImage, fetchOptions);
+                                mimeType = MimeUtils.resolve(fetched.data, fetched.mimeType, getMimeType(fetched.url));
+                                imageData = fetched.data.toString('base64');
                             } else {
                                 // Assume it's already base64
                                 imageData = inputImage.replace(/^data:[^;]+;base64,/, '');
-                                mimeType = 'image/jpeg'; // Default
+                                mimeType = MimeUtils.resolve(imageData, null, 'image/jpeg');
                             }
                         } else if (Buffer.isBuffer(inputImage)) {
                             // Buffer format
                             imageData = inputImage.toString('base64');
-                            mimeType = 'image/jpeg'; // Default
+                            mimeType = MimeUtils.resolve(inputImage, null, 'image/jpeg');
+                        } else if (inputImage && inputImage.url) {
+                            // Image object with a URL and optional request headers and mimeType
+                            const fetched = await FetchUtils.fetch(inputImage.url, { ...fetchOptions, headers: FetchUtils.parseHeaders(inputImage.headers) });
+                            mimeType = MimeUtils.resolve(fetched.data, inputImage.mimeType || fetched.mimeType, getMimeType(fetched.url));
+                            imageData = fetched.data.toString('base64');
+                        } else if (inputImage && inputImage.data) {
+                            // Image object with data (Buffer or base64) and an optional mimeType
+                            imageData = Buffer.isBuffer(inputImage.data) ? inputImage.data.toString('base64') : inputImage.data;
+                            mimeType = MimeUtils.resolve(imageData, inputImage.mimeType, 'image/jpeg');
                         } else {
-                            throw new Error('Invalid input image format. Expected string (URL/base64) or Buffer.');
+                            throw new Error('Invalid input image format. Expected string (URL/base64), Buffer, {url, headers} or {data, mimeType} object.');
                         }
                         
                         contentParts.push({
@@ -312,7 +349,8 @@ module.exports = function(RED) {
                     model: model,
                     contents: [{ parts: contentParts }],
                     config: {
-                        responseModalities: responseModalities
+                        responseModalities: responseModalities,
+                        abortSignal: tracked.signal
                     }
                 };
                 
@@ -392,7 +430,7 @@ module.exports = function(RED) {
                                 saveDir = node.context().global.get(config.saveDirectory);
                             } else if (config.saveDirType === 'str' && config.saveDirectory) {
                                 // Apply Mustache templating for string save directory
-                                saveDir = renderTemplate(config.saveDirectory, msg, 'save directory');
+                                saveDir = renderTemplate(config.saveDirectory, msg, 'save directory', node, RED);
                             } else if (msg.saveDirectory) {
                                 saveDir = msg.saveDirectory;
                             }
@@ -462,6 +500,15 @@ module.exports = function(RED) {
                 done();
 
             } catch (error) {
+                // Nothing is sent for requests aborted because the node closed
+                if (tracked && node.requests.wasClosed(tracked)) {
+                    done();
+                    return;
+                }
+
+                // Aborted calls fail with whatever the SDK throws, so report them as cancelled or timed out
+                error = node.requests.toError(tracked, error);
+
                 // Prepare error response - original message with error object attached
                 const errorMsg = {
                     ...msg,  // Preserve ALL original message properties
@@ -484,11 +531,17 @@ module.exports = function(RED) {
                 // Route to second output port - flow continues, never halts
                 send([null, errorMsg]);
                 done(); // Complete successfully - no error passed to done()
+            } finally {
+                if (tracked) {
+                    node.requests.finish(tracked);
+                }
             }
         });
 
         // Clear status when node is being destroyed
         this.on('close', function() {
+            // Abort running requests
+            node.requests.cancelAll();
             node.status({});
         });
     }
@@ -0,0 +1,110 @@
+module.exports = function(RED) {
+    "use strict";
+
+    const SchemaUtils = require('./schema-utils');
+
+    // Parse the default generation settings of a version, entered as a JSON object
+    function parseSettings(value) {
+        if (!value) {
+            return {};
+        }
+
+        let settings;
+        try {
+            settings = typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (e) {
+            throw new Error(`Invalid settings JSON: ${e.message}`);
+        }
+
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('Settings must be an object of parameter names and values');
+        }
+        return settings;
+    }
+
+    function GeminiPromptNode(config) {
+        RED.nodes.createNode(this, config);
+        var node = this;
+
+        this.name = config.name;
+
+        // Shared snippets included in any template of a node using this library as {{> name}}
+        this.partials = {};
+        if (config.partialsData) {
+            try {
+                JSON.parse(config.partialsData).forEach(partial => {
+                    node.partials[partial.name] = partial.template || '';
+                });
+            } catch (e) {
+                node.error(`Invalid prompt partials: ${e.message}`);
+            }
+        }
+
+        // Versions keyed by label in the order they were defined; the last one is the latest
+        const versions = new Map();
+
+        let items = [];
+        if (config.versionsData) {
+            try {
+                items = JSON.parse(config.versionsData);
+            } catch (e) {
+                node.error(`Invalid prompt versions: ${e.message}`);
+            }
+        }
+
+        for (const item of items) {
+            const label = String(item.version);
+            if (versions.has(label)) {
+                node.warn(`Prompt version '${label}' is defined more than once, using the last definition`);
+            }
+
+            // Invalid settings or schema only fail the requests that select the version
+            const version = {
+                version: label,
+                systemInstruction: item.systemInstruction || '',
+                template: item.template || '',
+                settings: {},
+                schema: null,
+                error: null
+            };
+            try {
+                version.settings = parseSettings(item.settings);
+                version.schema = item.schema ? SchemaUtils.parseJsonSchema(item.schema) : null;
+            } catch (e) {
+                version.error = e.message;
+            }
+
+            versions.delete(label);
+            versions.set(label, version);
+        }
+
+        /**
+         * Get a prompt version, falling back to the configured default version and then the latest one
+         * @param {string|number} [version] - Version label, usually msg.promptVersion
+         * @returns {Object} { version, systemInstruction, template, settings, schema }
+         */
+        this.getVersion = function(version) {
+            if (versions.size === 0) {
+                throw new Error(`Prompt library '${node.name || node.id}' has no versions`);
+            }
+
+            let label = version;
+            if (label === undefined || label === null || label === '') {
+                label = config.defaultVersion || Array.from(versions.keys()).pop();
+            }
+
+            const selected = versions.get(String(label));
+            if (!selected) {
+                throw new Error(`Unknown prompt version '${label}'. Available versions: ${Array.from(versions.keys()).join(', ')}`);
+            }
+            if (selected.error) {
+                throw new Error(`Prompt version '${selected.version}': ${selected.error}`);
+            }
+
+            const { error, ...result } = selected;
+            return result;
+        };
+    }
+
+    RED.nodes.registerType("gemini-prompt", GeminiPromptNode);
+};
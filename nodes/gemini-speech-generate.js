@@ -4,8 +4,9 @@ module.exports = function(RED) {
     const { GoogleGenAI } = require('@google/genai');
     const fs = require('fs');
     const path = require('path');
-    const { renderTemplate } = require('./template-utils');
+    const { renderTemplate, evaluateExpression } = require('./template-utils');
     const NodeStatus = require('./status-utils');
+    const RequestTracker = require('./cancel-utils');
 
     // Helper function to create WAV header for PCM audio data
     function createWavHeader(pcmDataLength, sampleRate, numChannels, bitsPerSample) {
@@ -42,6 +43,12 @@ module.exports = function(RED) {
         // Get the API key config node
         this.apiKeyConfig = RED.nodes.getNode(config.apiKey);
 
+        // Get the optional prompt library config node
+        this.promptConfig = config.promptLibrary ? RED.nodes.getNode(config.promptLibrary) : null;
+
+        // In-flight requests, aborted on close, by msg.cancel or when their timeout elapses
+        this.requests = new RequestTracker();
+
         this.on('input', async function(msg, send, done) {
             // Use send and done for Node-RED 1.0+ compatibility
             send = send || function() { node.send.apply(node, arguments); };
@@ -52,8 +59,22 @@ module.exports = function(RED) {
 
             // Initialize variables that may be referenced in error handler
             let model = null;
+            let tracked = null;
 
             try {
+                // Cancel messages abort running requests - all of them, or those matching msg.cancel._msgid or msg.cancel.topic
+                if (msg.cancel) {
+                    const cancelled = node.requests.cancel(msg.cancel);
+
+                    // Always preserve incoming message properties
+                    const resultMsg = {...msg};
+                    RED.util.setMessageProperty(resultMsg, config.outputProperty || 'payload', { cancelled: cancelled });
+
+                    status.setSuccess(config.model, `cancelled ${cancelled}`, { duration: false });
+                    send([resultMsg, null]);
+                    done();
+                    return;
+                }
 
                 // Validate API key
                 if (!node.apiKeyConfig || !node.apiKeyConfig.credentials || !node.apiKeyConfig.credentials.apikey) {
@@ -72,17 +93,28 @@ module.exports = function(RED) {
                     throw new Error('Model not specified');
                 }
 
-                // Resolve text content
+                // Select the prompt library version; the version used is returned in msg.promptVersion
+                const promptVersion = node.promptConfig ? node.promptConfig.getVersion(msg.promptVersion) : null;
+                if (promptVersion) {
+                    msg = {...msg, promptVersion: promptVersion.version};
+                }
+                const settings = promptVersion ? promptVersion.settings : {};
+
+                // Resolve text content - a prompt library template replaces the configured text
                 let text = '';
-                if (config.textType === 'str') {
+                if (promptVersion && promptVersion.template) {
+                    text = renderTemplate(promptVersion.template, msg, 'prompt template', node, RED);
+                } else if (config.textType === 'str') {
                     // Apply Mustache templating for string text
-                    text = renderTemplate(config.text, msg, 'text');
+                    text = renderTemplate(config.text, msg, 'text', node, RED);
                 } else if (config.textType === 'msg') {
                     text = msg[config.text] || msg.payload;
                 } else if (config.textType === 'flow') {
                     text = node.context().flow.get(config.text);
                 } else if (config.textType === 'global') {
                     text = node.context().global.get(config.text);
+                } else if (config.textType === 'jsonata') {
+                    text = await evaluateExpression(RED, config.text, msg, 'text', node);
                 }
 
                 // Fallback to msg.payload if no text configured
@@ -104,14 +136,14 @@ module.exports = function(RED) {
                     let speaker1Name = msg.speaker1Name || config.speaker1Name;
                     if (speaker1Name) {
                         processedSpeaker1Name = typeof speaker1Name === 'string' && !msg.speaker1Name ?
-                            renderTemplate(speaker1Name, msg, 'speaker 1 name') : speaker1Name;
+                            renderTemplate(speaker1Name, msg, 'speaker 1 name', node, RED) : speaker1Name;
                     }
 
                     // Resolve and process speaker 2 name
                     let speaker2Name = msg.speaker2Name || config.speaker2Name;
                     if (speaker2Name) {
                         processedSpeaker2Name = typeof speaker2Name === 'string' && !msg.speaker2Name ?
-                            renderTemplate(speaker2Name, msg, 'speaker 2 name') : speaker2Name;
+                            renderTemplate(speaker2Name, msg, 'speaker 2 name', node, RED) : speaker2Name;
                     }
 
                     if (processedSpeaker1Name && processedSpeaker2Name) {
@@ -120,17 +152,21 @@ module.exports = function(RED) {
                     }
                 }
 
-                // Resolve system instruction
+                // Resolve system instruction - a prompt library system instruction replaces the configured one
                 let systemInstruction = null;
-                if (config.systemInstructionType === 'str' && config.systemInstruction) {
+                if (promptVersion && promptVersion.systemInstruction) {
+                    systemInstruction = renderTemplate(promptVersion.systemInstruction, msg, 'prompt library system instruction', node, RED);
+                } else if (config.systemInstructionType === 'str' && config.systemInstruction) {
                     // Apply Mustache templating for string system instructions
-                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction');
+                    systemInstruction = renderTemplate(config.systemInstruction, msg, 'system instruction', node, RED);
                 } else if (config.systemInstructionType === 'msg') {
                     systemInstruction = msg[config.systemInstruction];
                 } else if (config.systemInstructionType === 'flow') {
                     systemInstruction = node.context().flow.get(config.systemInstruction);
                 } else if (config.systemInstructionType === 'global') {
                     systemInstruction = node.context().global.get(config.systemInstruction);
+                } else if (config.systemInstructionType === 'jsonata') {
+                    systemInstruction = await evaluateExpression(RED, config.systemInstruction, msg, 'system instruction', node);
                 } else if (msg.systemInstruction) {
                     systemInstruction = msg.systemInstruction;
                 }
@@ -138,6 +174,9 @@ module.exports = function(RED) {
                 // Initialize Google Generative AI
                 const genAI = new GoogleGenAI({apiKey: apiKey});
 
+                // Track the request so it can be cancelled or time out
+                tracked = node.requests.start(msg, config.timeout);
+
                 // Show detailed speech generation status
                 const textLength = text.length;
                 const voiceInfo = config.speakerMode === 'multi' ? 'multi-speaker' : (config.voiceName || msg.voiceName || 'default');
@@ -149,7 +188,8 @@ module.exports = function(RED) {
                     model: model,
                     contents: [{ parts: [{ text: text }] }],
                     config: {
-                        responseModalities: ['AUDIO']
+                        responseModalities: ['AUDIO'],
+                        abortSignal: tracked.signal
                     }
                 };
                 
@@ -173,6 +213,8 @@ module.exports = function(RED) {
                     maxOutputTokens = node.context().global.get(config.maxOutputTokens);
                 } else if (msg.maxOutputTokens !== undefined) {
                     maxOutputTokens = msg.maxOutputTokens;
+                } else if (settings.maxOutputTokens !== undefined) {
+                    maxOutputTokens = settings.maxOutputTokens;
                 }
                 
                 if (maxOutputTokens !== undefined && maxOutputTokens !== null && maxOutputTokens !== '') {
@@ -193,7 +235,7 @@ module.exports = function(RED) {
                     let processedSpeaker1Voice = null;
                     if (speaker1Voice) {
                         processedSpeaker1Voice = typeof speaker1Voice === 'string' && !msg.speaker1Voice ?
-                            renderTemplate(speaker1Voice, msg, 'speaker 1 voice') : speaker1Voice;
+                            renderTemplate(speaker1Voice, msg, 'speaker 1 voice', node, RED) : speaker1Voice;
                     }
 
                     // Add speaker 1 if both name and voice are configured
@@ -213,7 +255,7 @@ module.exports = function(RED) {
                     let processedSpeaker2Voice = null;
                     if (speaker2Voice) {
                         processedSpeaker2Voice = typeof speaker2Voice === 'string' && !msg.speaker2Voice ?
-                            renderTemplate(speaker2Voice, msg, 'speaker 2 voice') : speaker2Voice;
+                            renderTemplate(speaker2Voice, msg, 'speaker 2 voice', node, RED) : speaker2Voice;
                     }
 
                     // Add speaker 2 if both name and voice are configured
@@ -247,9 +289,11 @@ module.exports = function(RED) {
                     let voiceName = config.voiceName;
                     if (msg.voiceName) {
                         voiceName = msg.voiceName;
+                    } else if (settings.voiceName) {
+                        voiceName = settings.voiceName;
                     } else if (config.voiceName) {
                         // Apply Mustache templating for configured voice name
-                        voiceName = renderTemplate(config.voiceName, msg, 'voice name');
+                        voiceName = renderTemplate(config.voiceName, msg, 'voice name', node, RED);
                     }
 
                     if (voiceName) {
@@ -347,7 +391,7 @@ module.exports = function(RED) {
                 let filename = '';
                 if (config.filenameType === 'str' && config.filename) {
                     // Apply Mustache templating for string filename
-                    filename = renderTemplate(config.filename, msg, 'filename');
+                    filename = renderTemplate(config.filename, msg, 'filename', node, RED);
                 } else if (config.filenameType === 'msg' && config.filename) {
                     filename = msg[config.filename] || '';
                 } else if (config.filenameType === 'flow') {
@@ -391,7 +435,7 @@ module.exports = function(RED) {
                             saveDir = node.context().global.get(config.saveDirectory);
                         } else if (config.saveDirType === 'str' && config.saveDirectory) {
                             // Apply Mustache templating for string save directory
-                            saveDir = renderTemplate(config.saveDirectory, msg, 'save directory');
+                            saveDir = renderTemplate(config.saveDirectory, msg, 'save directory', node, RED);
                         } else if (msg.saveDirectory) {
                             saveDir = msg.saveDirectory;
                         }
@@ -456,6 +500,15 @@ module.exports = function(RED) {
                 done();
 
             } catch (error) {
+                // Nothing is sent for requests aborted because the node closed
+                if (tracked && node.requests.wasClosed(tracked)) {
+                    done();
+                    return;
+                }
+
+                // Aborted calls fail with whatever the SDK throws, so report them as cancelled or timed out
+                error = node.requests.toError(tracked, error);
+
                 // Prepare error response
                 const errorMsg = {
                     ...msg,
@@ -478,11 +531,17 @@ module.exports = function(RED) {
                 // Route to second output port
                 send([null, errorMsg]);
                 done();
+            } finally {
+                if (tracked) {
+                    node.requests.finish(tracked);
+                }
             }
         });
 
         // Clear status when node is being destroyed
         this.on('close', function() {
+            // Abort running requests
+            node.requests.cancelAll();
             node.status({});
         });
     }
@@ -0,0 +1,81 @@
+/**
+ * Grounding Utility Module
+ * Inserts citation markers and a sources list into grounded responses
+ */
+
+// Move a byte offset forward to the start of a UTF-8 character so markers never split one
+function toCharBoundary(buffer, offset) {
+    while (offset < buffer.length && (buffer[offset] & 0xC0) === 0x80) {
+        offset++;
+    }
+    return offset;
+}
+
+module.exports = {
+    /**
+     * List the web sources of a grounded response, numbered like the citation markers
+     *
+     * @param {Object} groundingMetadata - Grounding metadata of a response candidate
+     * @returns {Array} Sources ({ number, title, uri })
+     */
+    getSources: function(groundingMetadata) {
+        const chunks = (groundingMetadata && groundingMetadata.groundingChunks) || [];
+        return chunks.map((chunk, index) => {
+            const source = chunk.web || chunk.retrievedContext || {};
+            return {
+                number: index + 1,
+                title: source.title || source.uri || `Source ${index + 1}`,
+                uri: source.uri || null
+            };
+        });
+    },
+
+    /**
+     * Insert numbered citation markers ("[1][3]") after each grounded segment and append a
+     * Markdown sources list. Segment end indices are UTF-8 byte offsets into the response text.
+     *
+     * @param {string} text - Response text the grounding metadata belongs to
+     * @param {Object} groundingMetadata - Grounding metadata of a response candidate
+     * @returns {string} Text with citations, or the text unchanged if nothing was grounded
+     */
+    addCitations: function(text, groundingMetadata) {
+        const supports = (groundingMetadata && groundingMetadata.groundingSupports) || [];
+        const sources = this.getSources(groundingMetadata);
+        if (typeof text !== 'string' || supports.length === 0 || sources.length === 0) {
+            return text;
+        }
+
+        const buffer = Buffer.from(text, 'utf8');
+
+        // Collect markers per insertion point so supports ending at the same offset share one
+        const markers = new Map();
+        for (const support of supports) {
+            const endIndex = support.segment && support.segment.endIndex;
+            const indices = (support.groundingChunkIndices || []).filter(index => index >= 0 && index < sources.length);
+            if (typeof endIndex !== 'number' || indices.length === 0) {
+                continue;
+            }
+
+            const offset = toCharBoundary(buffer, Math.min(endIndex, buffer.length));
+            const numbers = markers.get(offset) || new Set();
+            indices.forEach(index => numbers.add(index + 1));
+            markers.set(offset, numbers);
+        }
+
+        // Splice markers in by byte offset, keeping earlier offsets valid
+        const pieces = [];
+        let start = 0;
+        for (const offset of [...markers.keys()].sort((a, b) => a - b)) {
+            const numbers = [...markers.get(offset)].sort((a, b) => a - b);
+            pieces.push(buffer.subarray(start, offset), Buffer.from(numbers.map(number => `[${number}]`).join('')));
+            start = offset;
+        }
+        pieces.push(buffer.subarray(start));
+
+        const list = sources.map(source => source.uri
+            ? `${source.number}. [${source.title}](${source.uri})`
+            : `${source.number}. ${source.title}`);
+
+        return `${Buffer.concat(pieces).toString('utf8')}\n\nSources:\n${list.join('\n')}`;
+    }
+};
@@ -0,0 +1,192 @@
+/**
+ * Chat History Utility Module
+ * Provides turn splitting, size estimation and trimming for chat session histories and request contents
+ */
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+module.exports = {
+    /**
+     * Prefix of the synthetic user turn that replaces summarized history
+     */
+    SUMMARY_PREFIX: SUMMARY_PREFIX,
+
+    /**
+     * Split a history into turns. A turn starts with a user message and includes
+     * everything up to the next user message, so function call and function
+     * response contents stay with the turn that triggered them.
+     *
+     * @param {Array} history - Array of content objects ({ role, parts })
+     * @returns {Array<Array>} Array of turns, each an array of content objects
+     */
+    splitTurns: function(history) {
+        const turns = [];
+
+        for (const content of history || []) {
+            const parts = content.parts || [];
+            const isFunctionResponse = parts.length > 0 && parts.every(part => part.functionResponse);
+            const startsTurn = content.role === 'user' && !isFunctionResponse;
+
+            if (startsTurn || turns.length === 0) {
+                turns.push([content]);
+            } else {
+                turns[turns.length - 1].push(content);
+            }
+        }
+
+        return turns;
+    },
+
+    /**
+     * Estimate the token count of a list of contents (rough approximation)
+     * Text uses ~4 characters per token, media parts count as a fixed 258 tokens
+     *
+     * @param {Array} contents - Array of content objects
+     * @returns {number} Estimated token count
+     */
+    estimateTokens: function(contents) {
+        let tokens = 0;
+
+        for (const content of contents || []) {
+            for (const part of content.parts || []) {
+                if (typeof part.text === 'string') {
+                    tokens += Math.ceil(part.text.length / 4);
+                } else if (part.inlineData || part.fileData) {
+                    tokens += 258;
+                } else {
+                    tokens += Math.ceil(JSON.stringify(part).length / 4);
+                }
+            }
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Find how many of the most recent turns fit within the limits.
+     * The latest turn is always kept, even if it exceeds the limits on its own.
+     *
+     * @param {Array<Array>} turns - Turns from splitTurns
+     * @param {number} maxTurns - Maximum number of turns (0 or NaN for no limit)
+     * @param {number} maxTokens - Maximum estimated tokens (0 or NaN for no limit)
+     * @returns {number} Number of turns to keep from the end
+     */
+    countTurnsWithinLimits: function(turns, maxTurns, maxTokens) {
+        let kept = 0;
+        let tokens = 0;
+
+        for (let i = turns.length - 1; i >= 0; i--) {
+            const turnTokens = this.estimateTokens(turns[i]);
+
+            if (kept > 0) {
+                if (maxTurns > 0 && kept + 1 > maxTurns) break;
+                if (maxTokens > 0 && tokens + turnTokens > maxTokens) break;
+            }
+
+            kept++;
+            tokens += turnTokens;
+        }
+
+        return kept;
+    },
+
+    /**
+     * Shrink contents by roughly the given number of tokens. Whole turns are dropped
+     * from the start first; once only the latest turn is left, its longest text part
+     * is cut from the end. Estimates are scaled to the counted total, so the result
+     * should be counted again and trimmed further if it still doesn't fit.
+     *
+     * @param {Array} contents - Array of content objects
+     * @param {number} excessTokens - Tokens to remove
+     * @param {number} totalTokens - Counted tokens of the contents
+     * @returns {Array} Trimmed copy of the contents
+     */
+    trimContents: function(contents, excessTokens, totalTokens) {
+        const turns = this.splitTurns(contents);
+        const scale = totalTokens / Math.max(1, this.estimateTokens(contents));
+        let removed = 0;
+
+        while (turns.length > 1 && removed < excessTokens) {
+            removed += this.estimateTokens(turns.shift()) * scale;
+        }
+
+        const trimmed = [].concat(...turns);
+        if (removed >= excessTokens) {
+            return trimmed;
+        }
+
+        // Cut the longest text part of the latest turn, in proportion to its share of the tokens
+        const lastTurn = turns[0].map(content => ({ ...content, parts: (content.parts || []).slice() }));
+        let longest = null;
+        lastTurn.forEach(content => content.parts.forEach((part, i) => {
+            if (typeof part.text === 'string' && (!longest || part.text.length > longest.content.parts[longest.index].text.length)) {
+                longest = { content: content, index: i };
+            }
+        }));
+
+        if (longest) {
+            const text = longest.content.parts[longest.index].text;
+            const charsPerToken = text.length / Math.max(1, Math.ceil(text.length / 4) * scale);
+            const keep = Math.max(0, text.length - Math.ceil((excessTokens - removed) * charsPerToken * 1.1));
+            longest.content.parts[longest.index] = { ...longest.content.parts[longest.index], text: text.slice(0, keep) };
+        }
+
+        return lastTurn;
+    },
+
+    /**
+     * Render turns as a plain text transcript for summarization
+     *
+     * @param {Array<Array>} turns - Turns to render
+     * @returns {string} Transcript with one line per part
+     */
+    toTranscript: function(turns) {
+        const lines = [];
+
+        for (const turn of turns) {
+            for (const content of turn) {
+                const speaker = content.role === 'model' ? 'Model' : 'User';
+                for (const part of content.parts || []) {
+                    if (typeof part.text === 'string') {
+                        lines.push(`${speaker}: ${part.text}`);
+                    } else if (part.inlineData || part.fileData) {
+                        const mimeType = (part.inlineData || part.fileData).mimeType || 'media';
+                        lines.push(`${speaker}: [${mimeType} attachment]`);
+                    } else if (part.functionCall) {
+                        lines.push(`${speaker}: [called ${part.functionCall.name} with ${JSON.stringify(part.functionCall.args || {})}]`);
+                    } else if (part.functionResponse) {
+                        lines.push(`${speaker}: [${part.functionResponse.name} returned ${JSON.stringify(part.functionResponse.response)}]`);
+                    }
+                }
+            }
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Build the prompt asking the model to summarize older turns
+     *
+     * @param {Array<Array>} turns - Turns to summarize
+     * @returns {string} Summarization prompt
+     */
+    buildSummaryPrompt: function(turns) {
+        return 'Summarize the following conversation so it can replace the original messages as context for continuing it. ' +
+            'Keep facts, names, decisions, open questions and user preferences. Write in plain prose without preamble.\n\n' +
+            this.toTranscript(turns);
+    },
+
+    /**
+     * Build the synthetic turn that stands in for summarized history.
+     * A model acknowledgement follows the summary so roles keep alternating.
+     *
+     * @param {string} summary - Summary text
+     * @returns {Array} Content objects for the summary turn
+     */
+    createSummaryTurn: function(summary) {
+        return [
+            { role: 'user', parts: [{ text: `${SUMMARY_PREFIX}\n${summary}` }] },
+            { role: 'model', parts: [{ text: 'Understood. I will continue the conversation with that context.' }] }
+        ];
+    }
+};
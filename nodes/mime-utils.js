@@ -0,0 +1,108 @@
+/**
+ * MIME Type Utility Module
+ * Detects the type of media data from its leading bytes (magic numbers)
+ */
+
+// Number of leading bytes the signatures below need
+const HEADER_BYTES = 16;
+
+// ISO base media (ftyp) brands of HEIF images; every other brand is treated as MP4 video
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Get the leading bytes of a Buffer or base64 string, decoding only as much base64 as needed
+function getHeader(data) {
+    if (Buffer.isBuffer(data)) {
+        return data.subarray(0, HEADER_BYTES);
+    }
+    if (typeof data === 'string') {
+        const base64 = data.replace(/^data:[^;,]+;base64,/, '');
+        return Buffer.from(base64.slice(0, Math.ceil(HEADER_BYTES / 3) * 4), 'base64');
+    }
+    return Buffer.alloc(0);
+}
+
+function ascii(header, start, end) {
+    return header.toString('latin1', start, end);
+}
+
+module.exports = {
+    /**
+     * Detect the MIME type of media data from its magic bytes. Covers PNG, JPEG, GIF, WEBP,
+     * HEIC/HEIF, MP4, MOV, WEBM, WAV, AIFF, MP3, AAC, OGG, FLAC and PDF.
+     *
+     * @param {Buffer|string} data - Media data as a Buffer, base64 string or data URL
+     * @returns {string|null} Detected MIME type, or null if the data matches no known signature
+     */
+    detect: function(data) {
+        const header = getHeader(data);
+        if (header.length < 4) {
+            return null;
+        }
+
+        if (header[0] === 0x89 && ascii(header, 1, 4) === 'PNG') {
+            return 'image/png';
+        }
+        if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+            return 'image/jpeg';
+        }
+        if (ascii(header, 0, 6) === 'GIF87a' || ascii(header, 0, 6) === 'GIF89a') {
+            return 'image/gif';
+        }
+        if (ascii(header, 0, 5) === '%PDF-') {
+            return 'application/pdf';
+        }
+        if (ascii(header, 0, 4) === 'RIFF') {
+            const format = ascii(header, 8, 12);
+            if (format === 'WEBP') {
+                return 'image/webp';
+            }
+            if (format === 'WAVE') {
+                return 'audio/wav';
+            }
+        }
+        if (ascii(header, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(header, 8, 12))) {
+            return 'audio/aiff';
+        }
+        if (ascii(header, 4, 8) === 'ftyp') {
+            const brand = ascii(header, 8, 12);
+            if (HEIC_BRANDS.includes(brand)) {
+                return 'image/heic';
+            }
+            if (HEIF_BRANDS.includes(brand)) {
+                return 'image/heif';
+            }
+            return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+        }
+        if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+            return 'video/webm';
+        }
+        if (ascii(header, 0, 4) === 'OggS') {
+            return 'audio/ogg';
+        }
+        if (ascii(header, 0, 4) === 'fLaC') {
+            return 'audio/flac';
+        }
+        if (ascii(header, 0, 3) === 'ID3') {
+            return 'audio/mp3';
+        }
+        // MPEG audio frame sync: layer bits 00 mark AAC (ADTS), anything else MP3
+        if (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0) {
+            return (header[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mp3';
+        }
+
+        return null;
+    },
+
+    /**
+     * Choose the MIME type of media data: an explicit type wins, then the detected type, then the fallback
+     *
+     * @param {Buffer|string} data - Media data as a Buffer, base64 string or data URL
+     * @param {string} explicitType - MIME type provided alongside the data, if any
+     * @param {string} fallbackType - Type to use when nothing is detected, e.g. from the file extension
+     * @returns {string} MIME type
+     */
+    resolve: function(data, explicitType, fallbackType) {
+        return explicitType || this.detect(data) || fallbackType;
+    }
+};
@@ -0,0 +1,297 @@
+/**
+ * Response Schema Utility Module
+ * Builds structured output schemas from the editor's property list, parses raw JSON Schemas and validates responses
+ */
+
+// Parse a dot path like "lineItems[].sku" into segments: [{ name: 'lineItems', array: true }, { name: 'sku', array: false }]
+function parsePath(name) {
+    return name.split('.').map(segment => {
+        const trimmed = segment.trim();
+        const array = trimmed.endsWith('[]');
+        const segmentName = array ? trimmed.slice(0, -2).trim() : trimmed;
+        if (!segmentName) {
+            throw new Error(`Invalid property name '${name}'`);
+        }
+        return { name: segmentName, array: array };
+    });
+}
+
+function createObjectSchema() {
+    return { type: 'OBJECT', properties: {}, propertyOrdering: [] };
+}
+
+// Get or create the property schema for a segment inside an object schema
+function getProperty(objectSchema, name, type) {
+    if (!objectSchema.properties[name]) {
+        objectSchema.properties[name] = { type: type };
+        objectSchema.propertyOrdering.push(name);
+    }
+    return objectSchema.properties[name];
+}
+
+// Move on to the object schema holding the children of an intermediate segment
+function descend(objectSchema, segment, path) {
+    let schema = getProperty(objectSchema, segment.name, segment.array ? 'ARRAY' : 'OBJECT');
+
+    if (segment.array) {
+        if (schema.type !== 'ARRAY') {
+            throw new Error(`Property '${path}' is used as an array but declared as ${schema.type}`);
+        }
+        schema.items = schema.items || createObjectSchema();
+        schema = schema.items;
+    }
+
+    if (schema.type !== 'OBJECT') {
+        throw new Error(`Property '${path}' has nested properties but is declared as ${schema.type}`);
+    }
+    schema.properties = schema.properties || {};
+    schema.propertyOrdering = schema.propertyOrdering || [];
+
+    return schema;
+}
+
+// Apply type, description, enum and nullable from a property definition to its schema
+function applyDefinition(schema, prop) {
+    if (prop.type === 'OBJECT') {
+        schema.properties = schema.properties || {};
+        schema.propertyOrdering = schema.propertyOrdering || [];
+    } else if (schema.properties && Object.keys(schema.properties).length > 0) {
+        throw new Error(`Property '${prop.name}' has nested properties but is declared as ${prop.type}`);
+    }
+    schema.type = prop.type;
+
+    if (prop.description) {
+        schema.description = prop.description;
+    }
+
+    const enumValues = Array.isArray(prop.enum)
+        ? prop.enum
+        : (typeof prop.enum === 'string' ? prop.enum.split(',').map(v => v.trim()).filter(v => v) : []);
+    if (enumValues.length > 0) {
+        if (prop.type !== 'STRING') {
+            throw new Error(`Property '${prop.name}' has enum values but is not a string`);
+        }
+        schema.enum = enumValues;
+    }
+
+    if (prop.nullable) {
+        schema.nullable = true;
+    }
+}
+
+// Remove bookkeeping left on objects without properties
+function finalize(schema) {
+    if (schema.properties) {
+        if (schema.propertyOrdering && schema.propertyOrdering.length === 0) {
+            delete schema.propertyOrdering;
+        }
+        if (schema.required && schema.required.length === 0) {
+            delete schema.required;
+        }
+        Object.values(schema.properties).forEach(finalize);
+    }
+    if (schema.items) {
+        finalize(schema.items);
+    }
+    return schema;
+}
+
+// Describe the JSON type of a value for validation messages
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate a value against a schema in either the API's schema format (uppercase types,
+// nullable) or JSON Schema, collecting "path: problem" messages
+function validateValue(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') {
+        return;
+    }
+
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const options = schema.anyOf || schema.oneOf;
+        const matches = options.some(option => {
+            const optionErrors = [];
+            validateValue(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) {
+            errors.push(`${path}: does not match any of the allowed schemas`);
+            return;
+        }
+    }
+
+    if (value === null && schema.nullable) {
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(type => String(type).toLowerCase());
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')} but got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+        }
+    } else if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${path}.${name}: is required`);
+            }
+        }
+
+        for (const name of Object.keys(value)) {
+            if (properties[name]) {
+                validateValue(value[name], properties[name], `${path}.${name}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name}: is not allowed`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    /**
+     * Build a response schema from the property list of the structured output builder.
+     * Names are dot paths: "customer.name" nests inside an object, "lineItems[].sku"
+     * declares a property of the objects in the lineItems array and "tags[]" sets the
+     * item type of a scalar array. Parent objects and arrays are created as needed.
+     *
+     * @param {Array} properties - Property definitions ({ name, type, required, description, enum, nullable })
+     * @returns {Object|null} Schema in the API's OpenAPI subset, or null if there are no properties
+     */
+    buildSchema: function(properties) {
+        if (!Array.isArray(properties) || properties.length === 0) {
+            return null;
+        }
+
+        const root = createObjectSchema();
+
+        for (const prop of properties) {
+            if (!prop || !prop.name) {
+                continue;
+            }
+
+            const segments = parsePath(prop.name);
+            const last = segments[segments.length - 1];
+            let parent = root;
+
+            for (let i = 0; i < segments.length - 1; i++) {
+                parent = descend(parent, segments[i], prop.name);
+            }
+
+            let schema;
+            if (last.array) {
+                // "tags[]" describes the array items
+                const arraySchema = getProperty(parent, last.name, 'ARRAY');
+                if (arraySchema.type !== 'ARRAY') {
+                    throw new Error(`Property '${prop.name}' is used as an array but declared as ${arraySchema.type}`);
+                }
+                arraySchema.items = arraySchema.items || { type: prop.type };
+                schema = arraySchema.items;
+            } else {
+                schema = getProperty(parent, last.name, prop.type);
+            }
+
+            applyDefinition(schema, prop);
+
+            if (prop.required && !last.array) {
+                parent.required = parent.required || [];
+                if (!parent.required.includes(last.name)) {
+                    parent.required.push(last.name);
+                }
+            }
+        }
+
+        return finalize(root);
+    },
+
+    /**
+     * Parse a raw JSON Schema supplied as an object or JSON string
+     *
+     * @param {Object|string} value - JSON Schema
+     * @returns {Object} Parsed JSON Schema
+     * @throws {Error} If the value is not a JSON object
+     */
+    parseJsonSchema: function(value) {
+        let schema = value;
+
+        if (typeof value === 'string') {
+            try {
+                schema = JSON.parse(value);
+            } catch (e) {
+                throw new Error(`Invalid JSON Schema: ${e.message}`);
+            }
+        }
+
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('JSON Schema must be an object');
+        }
+
+        return schema;
+    },
+
+    /**
+     * Validate a value against a response schema. Supports the API's schema format
+     * and the common JSON Schema keywords (type, enum, const, properties, required,
+     * additionalProperties, items, anyOf/oneOf, min/max, minItems/maxItems).
+     * Unsupported keywords such as $ref are ignored.
+     *
+     * @param {*} value - Parsed value
+     * @param {Object} schema - Schema to validate against
+     * @returns {Array<string>} Validation errors, empty if the value is valid
+     */
+    validate: function(value, schema) {
+        const errors = [];
+        validateValue(value, schema, '$', errors);
+        return errors;
+    },
+
+    /**
+     * Build the follow-up prompt asking the model to fix invalid structured output
+     *
+     * @param {Array<string>} errors - Parse or validation errors
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt: function(errors) {
+        return 'Your previous response was not valid for the required JSON schema:\n' +
+            errors.map(error => `- ${error}`).join('\n') +
+            '\n\nRespond again with only the corrected JSON.';
+    }
+};
@@ -107,6 +107,8 @@ class NodeStatus {
             text = `${modelName}: invalid API key`;
         } else if (error.message.includes('Model not')) {
             text = `${modelName}: model not found`;
+        } else if (error.code === 'TIMEOUT') {
+            text = `${modelName}: timed out`;
         } else {
             // Truncate long error messages
             const errorMsg = this.truncateMessage(error.message, 30);
@@ -159,12 +161,13 @@ class NodeStatus {
      */
     setMultimodalStatus(model, content) {
         const modelName = this.getShortModelName(model);
-        const { imageCount = 0, videoCount = 0, audioCount = 0 } = content;
+        const { imageCount = 0, videoCount = 0, audioCount = 0, documentCount = 0 } = content;
         
         const mediaTypes = [];
         if (imageCount > 0) mediaTypes.push(`${imageCount} images`);
         if (videoCount > 0) mediaTypes.push(`${videoCount} videos`);
         if (audioCount > 0) mediaTypes.push(`${audioCount} audio`);
+        if (documentCount > 0) mediaTypes.push(`${documentCount} documents`);
         
         const mediaText = mediaTypes.length > 0 ? mediaTypes.join(' + ') + ' + text' : 'text';
         
@@ -1,27 +1,214 @@
 const mustache = require('mustache');
 
+// Context stores and environment variables reachable from templates as {{flow.name}}, {{global.name}} and {{env.NAME}}
+const CONTEXT_LOOKUP = /^(flow|global|env)\.(.+)$/;
+
+// Date formats accepted by the date helper
+const DATE_FORMATS = ['iso', 'date', 'time', 'locale', 'epoch'];
+
+/**
+ * Convert a value to template text: objects and arrays as JSON, everything else as a string
+ *
+ * @param {*} value - Value to convert
+ * @returns {string} Text for the value
+ */
+function toText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+}
+
+// Look up a Node-RED environment variable through the runtime, including flow and group env,
+// or the process environment when rendering without one
+function getEnv(RED, node, name) {
+    if (RED && RED.util && typeof RED.util.getSetting === 'function') {
+        return RED.util.getSetting(node, name);
+    }
+    return process.env[name];
+}
+
+/**
+ * Mustache context that also resolves flow, global and env lookups for the rendering node
+ */
+class TemplateContext extends mustache.Context {
+    constructor(view, parent, node, RED) {
+        super(view, parent);
+        this.node = node;
+        this.RED = RED;
+    }
+
+    push(view) {
+        return new TemplateContext(view, this, this.node, this.RED);
+    }
+
+    lookup(name) {
+        const match = this.node && CONTEXT_LOOKUP.exec(name);
+        if (!match) {
+            return super.lookup(name);
+        }
+
+        // Message properties named flow, global or env shadow the context stores, as they always have
+        const value = super.lookup(name);
+        if (value !== undefined) {
+            return value;
+        }
+
+        if (match[1] === 'env') {
+            return getEnv(this.RED, this.node, match[2]);
+        }
+        const [key, ...path] = match[2].split('.');
+        return path.reduce((obj, property) => (obj === undefined || obj === null) ? undefined : obj[property],
+            this.node.context()[match[1]].get(key));
+    }
+}
+
+// Render objects as JSON rather than [object Object]; strings keep Mustache's escaping in {{double}} tags.
+// Helpers only work as sections, so a plain {{json}} or {{date}} without a matching msg property renders empty as before
+const writer = new mustache.Writer();
+writer.escapedValue = function(token, context, config) {
+    const value = context.lookup(token[1]);
+    if (typeof value === 'function') {
+        return undefined;
+    }
+    if (value !== undefined && value !== null && typeof value === 'object') {
+        return toText(value);
+    }
+    return mustache.Writer.prototype.escapedValue.call(this, token, context, config);
+};
+writer.unescapedValue = function(token, context) {
+    const value = context.lookup(token[1]);
+    if (value !== undefined && value !== null && typeof value !== 'function') {
+        return toText(value);
+    }
+};
+
+// Split helper arguments into the value path and the rest, e.g. "payload.text 200"
+function splitArguments(text) {
+    const trimmed = text.trim();
+    const index = trimmed.search(/\s/);
+    return index === -1 ? [trimmed, ''] : [trimmed.slice(0, index), trimmed.slice(index + 1).trim()];
+}
+
+function formatDate(value, format) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${toText(value)}`);
+    }
+
+    switch (format || 'iso') {
+        case 'iso':
+            return date.toISOString();
+        case 'date':
+            return date.toISOString().slice(0, 10);
+        case 'time':
+            return date.toISOString().slice(11, 19);
+        case 'locale':
+            return date.toLocaleString();
+        case 'epoch':
+            return String(date.getTime());
+        default:
+            throw new Error(`Unknown date format '${format}'. Supported formats: ${DATE_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Build the helper sections available in every template. Each helper reads the value at a path,
+ * followed by an optional argument: {{#json}}payload{{/json}}, {{#truncate}}payload 200{{/truncate}},
+ * {{#join}}payload.tags , {{/join}} and {{#date}}now date{{/date}}
+ *
+ * @param {TemplateContext} context - Message context the helper paths are resolved in
+ * @returns {object} Helper lambdas keyed by name
+ */
+function createHelpers(context) {
+    const helper = (render) => () => (text) => render(...splitArguments(text));
+    const valueAt = (path) => context.lookup(path);
+
+    return {
+        json: helper((path, indent) => {
+            const value = valueAt(path);
+            return JSON.stringify(value === undefined ? null : value, null, parseInt(indent) || 0);
+        }),
+        truncate: helper((path, length) => {
+            const max = parseInt(length);
+            if (isNaN(max) || max < 1) {
+                throw new Error('truncate needs a length, e.g. {{#truncate}}payload 200{{/truncate}}');
+            }
+            const text = toText(valueAt(path));
+            return text.length > max ? `${text.slice(0, max).trimEnd()}…` : text;
+        }),
+        join: helper((path, separator) => {
+            const value = valueAt(path);
+            return Array.isArray(value) ? value.map(toText).join(separator || ', ') : toText(value);
+        }),
+        date: helper((path, format) => formatDate(!path || path === 'now' ? new Date() : valueAt(path), format))
+    };
+}
+
 /**
  * Render a Mustache template with message context
- * Supports both {{payload}} and {{msg.payload}} syntax
+ * Supports both {{payload}} and {{msg.payload}} syntax, {{flow.name}}, {{global.name}} and {{env.NAME}} lookups,
+ * the json, truncate, join and date helpers, and {{> name}} partials from the node's prompt library
  *
  * @param {string} template - The template string to render
  * @param {object} msg - The Node-RED message object
  * @param {string} fieldName - Name of the field (for error messages)
+ * @param {object} [node] - The rendering node, for context and env lookups and prompt library partials
+ * @param {object} [RED] - The Node-RED runtime, resolving {{env.NAME}} with flow and group env; without it the process environment is used
  * @returns {string} The rendered template
  * @throws {Error} If template rendering fails
  */
-function renderTemplate(template, msg, fieldName) {
+function renderTemplate(template, msg, fieldName, node, RED) {
     if (!template || typeof template !== 'string') {
         return template;
     }
 
     try {
-        // Create context supporting both {{payload}} and {{msg.payload}} syntaxes
-        const context = { ...msg, msg: msg };
-        return mustache.render(template, context);
+        // Message properties take precedence over the helpers, so existing {{date}} or {{json}} properties keep working
+        const root = new TemplateContext({}, undefined, node, RED);
+        const context = root.push({ ...msg, msg: msg });
+        Object.assign(root.view, createHelpers(context));
+
+        // Unknown partials render empty, as Mustache always has
+        const library = node && node.promptConfig;
+        const partials = (name) => library && library.partials ? library.partials[name] : undefined;
+
+        return writer.render(template, context, partials);
     } catch (e) {
         throw new Error(`Mustache template error in ${fieldName}: ${e.message}`);
     }
 }
 
-module.exports = { renderTemplate };
+/**
+ * Evaluate a JSONata expression against a message, for text fields configured with the JSONata type.
+ * Results that aren't strings are converted to text, objects and arrays as JSON
+ *
+ * @param {object} RED - The Node-RED runtime
+ * @param {string} expression - The JSONata expression
+ * @param {object} msg - The Node-RED message object
+ * @param {string} fieldName - Name of the field (for error messages)
+ * @param {object} node - The evaluating node, giving the expression access to its flow and global context
+ * @returns {Promise<string>} The result as text
+ * @throws {Error} If the expression is invalid or fails to evaluate
+ */
+function evaluateExpression(RED, expression, msg, fieldName, node) {
+    return new Promise((resolve, reject) => {
+        let prepared;
+        try {
+            prepared = RED.util.prepareJSONataExpression(expression, node);
+        } catch (e) {
+            reject(new Error(`JSONata expression error in ${fieldName}: ${e.message}`));
+            return;
+        }
+
+        RED.util.evaluateJSONataExpression(prepared, msg, (err, value) => {
+            if (err) {
+                reject(new Error(`JSONata expression error in ${fieldName}: ${err.message}`));
+            } else {
+                resolve(toText(value));
+            }
+        });
+    });
+}
+
+module.exports = { renderTemplate, evaluateExpression };
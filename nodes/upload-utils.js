@@ -0,0 +1,193 @@
+/**
+ * Files API Upload Utility Module
+ * Moves large inline media to the Gemini Files API and reuses uploaded files by content hash
+ */
+
+const crypto = require('crypto');
+
+// Uploaded files keyed by API key and content hash, oldest first. Entries hold the upload
+// promise so concurrent requests for the same content share a single upload, and the
+// file once it is ACTIVE so expired entries can be pruned without waiting on the promise.
+const uploadedFiles = new Map();
+
+// Most uploaded files remembered for reuse; the oldest are forgotten first
+const MAX_CACHED_FILES = 100;
+
+// Stop reusing an uploaded file this long before the API expires it
+const EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 2000;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isExpired(file) {
+    return file.expirationTime && new Date(file.expirationTime).getTime() - Date.now() < EXPIRY_MARGIN_MS;
+}
+
+// Forget expired uploads, then the oldest ones while the cache is full
+function pruneUploads() {
+    for (const [key, entry] of uploadedFiles) {
+        if (entry.file && isExpired(entry.file)) {
+            uploadedFiles.delete(key);
+        }
+    }
+    for (const key of uploadedFiles.keys()) {
+        if (uploadedFiles.size < MAX_CACHED_FILES) {
+            break;
+        }
+        uploadedFiles.delete(key);
+    }
+}
+
+async function waitForActive(genAI, file, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (file.state === 'PROCESSING') {
+        if (Date.now() > deadline) {
+            throw new Error(`Uploaded file ${file.name} was still processing after ${Math.round(timeoutMs / 1000)}s`);
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        file = await genAI.files.get({ name: file.name });
+    }
+
+    if (file.state === 'FAILED') {
+        const reason = file.error && file.error.message ? `: ${file.error.message}` : '';
+        throw new Error(`Processing of uploaded file ${file.name} failed${reason}`);
+    }
+
+    return file;
+}
+
+// Wait for a promise unless the signal aborts first. Shared uploads keep running for other requests.
+function untilAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(new Error('Upload cancelled'));
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new Error('Upload cancelled'));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+module.exports = {
+    /**
+     * Default size above which media is uploaded in auto mode (MB)
+     */
+    DEFAULT_THRESHOLD_MB: 15,
+
+    /**
+     * Most uploaded files remembered for reuse
+     */
+    MAX_CACHED_FILES: MAX_CACHED_FILES,
+
+    /**
+     * Upload a buffer to the Files API and wait until it is ACTIVE.
+     * Files already uploaded with the same API key and content are reused until they near expiry,
+     * for up to MAX_CACHED_FILES files.
+     *
+     * @param {Object} genAI - GoogleGenAI client
+     * @param {string} apiKey - API key the client uses (files are only visible to their own project)
+     * @param {Buffer} buffer - File content
+     * @param {string} mimeType - MIME type of the content
+     * @param {Object} options - { timeout: processing timeout in seconds (default 300) }
+     * @returns {Promise<Object>} ACTIVE file ({ name, uri, mimeType, expirationTime, ... })
+     */
+    uploadBuffer: async function(genAI, apiKey, buffer, mimeType, options = {}) {
+        const key = `${hash(apiKey)}:${hash(buffer)}:${mimeType}`;
+        const cached = uploadedFiles.get(key);
+
+        if (cached) {
+            try {
+                const file = await cached.upload;
+                if (!isExpired(file)) {
+                    return file;
+                }
+            } catch (error) {
+                // A failed upload is retried below
+            }
+            uploadedFiles.delete(key);
+        }
+
+        pruneUploads();
+
+        const timeoutMs = (parseFloat(options.timeout) || 300) * 1000;
+        const upload = genAI.files.upload({
+            file: new Blob([buffer], { type: mimeType }),
+            config: { mimeType: mimeType }
+        }).then(file => waitForActive(genAI, file, timeoutMs));
+
+        const entry = { upload: upload, file: null };
+        uploadedFiles.set(key, entry);
+        upload.then(file => {
+            entry.file = file;
+        }, () => {
+            if (uploadedFiles.get(key) === entry) {
+                uploadedFiles.delete(key);
+            }
+        });
+
+        return upload;
+    },
+
+    /**
+     * Replace inline media parts with Files API references when they should be uploaded.
+     * Modes: 'auto' uploads parts larger than the threshold, 'always' uploads all media,
+     * 'never' keeps everything inline.
+     *
+     * @param {Object} genAI - GoogleGenAI client
+     * @param {string} apiKey - API key the client uses
+     * @param {Array} parts - Content parts, possibly containing inlineData
+     * @param {Object} options - { mode, threshold (MB), timeout (seconds), signal (AbortSignal), onUpload(count) }
+     * @returns {Promise<Array>} Parts with uploaded media as fileData ({ fileUri, mimeType })
+     */
+    uploadLargeParts: async function(genAI, apiKey, parts, options = {}) {
+        const mode = options.mode || 'auto';
+        if (mode === 'never' || !Array.isArray(parts)) {
+            return parts;
+        }
+
+        const thresholdMb = parseFloat(options.threshold);
+        const thresholdBytes = (isNaN(thresholdMb) ? this.DEFAULT_THRESHOLD_MB : thresholdMb) * 1024 * 1024;
+
+        const toUpload = parts.filter(part => {
+            if (!part || !part.inlineData || typeof part.inlineData.data !== 'string') {
+                return false;
+            }
+            // Decoded size of the base64 data
+            return mode === 'always' || part.inlineData.data.length * 3 / 4 > thresholdBytes;
+        });
+
+        if (toUpload.length === 0) {
+            return parts;
+        }
+
+        if (options.onUpload) {
+            options.onUpload(toUpload.length);
+        }
+
+        return Promise.all(parts.map(async part => {
+            if (!toUpload.includes(part)) {
+                return part;
+            }
+
+            const buffer = Buffer.from(part.inlineData.data, 'base64');
+            const file = await untilAborted(this.uploadBuffer(genAI, apiKey, buffer, part.inlineData.mimeType, options), options.signal);
+
+            // Keep other part fields such as videoMetadata
+            const { inlineData, ...rest } = part;
+            return {
+                ...rest,
+                fileData: {
+                    fileUri: file.uri,
+                    mimeType: file.mimeType || inlineData.mimeType
+                }
+            };
+        }));
+    }
+};
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for batch mode of gemini-generate-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+function createBatchNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', {
+    mode: 'batch',
+    modelSelection: 'gemini-2.5-flash',
+    promptType: 'str',
+    prompt: 'Summarize: {{payload}}',
+    passthroughProperties: true,
+    ...config
+  });
+}
+
+// The prompt text of a request
+const promptOf = request => request.contents[0].parts[0].text;
+
+check('runs every item and returns the results in input order', async () => {
+  api.reset();
+  api.models.generateContent = async request => {
+    // Later items answer first
+    const prompt = promptOf(request);
+    await new Promise(resolve => setTimeout(resolve, prompt.endsWith('a') ? 30 : 5));
+    return textResponse(`reply to ${prompt}`);
+  };
+
+  const { outputs } = await receive(createBatchNode(), { payload: ['a', 'b', 'c'] });
+  const msg = outputs[0][0];
+
+  assert.deepStrictEqual(msg.payload.map(item => [item.index, item.success, item.text]), [
+    [0, true, 'reply to Summarize: a'],
+    [1, true, 'reply to Summarize: b'],
+    [2, true, 'reply to Summarize: c']
+  ]);
+  assert.strictEqual(msg.batch.total, 3);
+  assert.strictEqual(msg.batch.succeeded, 3);
+  assert.strictEqual(msg.usage.totalTokenCount, 24);
+  assert.strictEqual(outputs[1].length, 0);
+});
+
+check('keeps at most the configured number of requests in flight', async () => {
+  api.reset();
+  let active = 0;
+  let maxActive = 0;
+  api.models.generateContent = async request => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+    return textResponse('ok');
+  };
+
+  const { outputs } = await receive(createBatchNode({ batchConcurrency: '2' }), { payload: ['1', '2', '3', '4', '5'] });
+
+  assert.strictEqual(maxActive, 2);
+  assert.strictEqual(outputs[0][0].batch.concurrency, 2);
+  assert.strictEqual(outputs[0][0].payload.length, 5);
+});
+
+check('reports a failed item on the item while the rest of the batch completes', async () => {
+  api.reset();
+  api.models.generateContent = async request => {
+    if (promptOf(request).endsWith('bad')) {
+      throw new Error('Invalid argument');
+    }
+    return textResponse('ok');
+  };
+
+  const { outputs } = await receive(createBatchNode(), { payload: ['good', 'bad', 'fine'] });
+  const results = outputs[0][0].payload;
+
+  assert.deepStrictEqual(results.map(item => item.success), [true, false, true]);
+  assert.strictEqual(results[1].text, null);
+  assert.strictEqual(results[1].error.message, 'Invalid argument');
+  assert.strictEqual(results[1].error.code, 'UNKNOWN_ERROR');
+  assert.strictEqual(outputs[0][0].batch.failed, 1);
+  assert.strictEqual(outputs[1].length, 0);
+});
+
+check('object items give the prompt and add their own media after the configured media', async () => {
+  api.reset();
+  const requests = {};
+  api.models.generateContent = async request => {
+    requests[promptOf(request)] = request;
+    return textResponse('ok');
+  };
+
+  const node = createBatchNode({ multimodalInputsData: JSON.stringify([{ type: 'text', value: 'shared' }]) });
+  await receive(node, { payload: [{ prompt: 'first', multimodal: [{ type: 'text', value: 'own' }] }, 'second'] });
+
+  assert.deepStrictEqual(requests['Summarize: first'].contents[0].parts, [{ text: 'Summarize: first' }, { text: 'shared' }, { text: 'own' }]);
+  assert.deepStrictEqual(requests['Summarize: second'].contents[0].parts, [{ text: 'Summarize: second' }, { text: 'shared' }]);
+});
+
+check('sends a payload that is not a non-empty array to the error output', async () => {
+  api.reset();
+  for (const payload of ['one prompt', []]) {
+    const { outputs } = await receive(createBatchNode(), { payload: payload });
+    assert.strictEqual(outputs[0].length, 0);
+    assert.strictEqual(outputs[1][0].error.message, 'Batch mode requires msg.payload to be a non-empty array of prompts');
+  }
+});
+
+check('uses each item as the prompt when the prompt is read from a msg property', async () => {
+  api.reset();
+  const prompts = [];
+  api.models.generateContent = async request => {
+    prompts.push(promptOf(request));
+    return textResponse('ok');
+  };
+
+  await receive(createBatchNode({ promptType: 'msg', prompt: 'question' }), { question: 'the same for all', payload: ['one', { prompt: 'two' }] });
+
+  assert.deepStrictEqual(prompts.sort(), ['one', 'two']);
+});
+
+check('cancelling the batch ends a rate limit backoff right away', async () => {
+  api.reset();
+  const node = createBatchNode();
+  api.models.generateContent = async () => {
+    // Cancel once the item is waiting to retry
+    setTimeout(() => receive(node, { cancel: true }), 50);
+    const error = new Error('Resource exhausted');
+    error.status = 429;
+    throw error;
+  };
+
+  const started = Date.now();
+  const { outputs } = await receive(node, { payload: ['a'] });
+
+  assert.ok(Date.now() - started < 900, 'waited for the backoff');
+  assert.strictEqual(outputs[1][0].error.code, 'CANCELLED');
+});
+
+check('retries an item after a rate limit error, resending only its original prompt', async () => {
+  api.reset();
+  const node = createBatchNode({ functionDeclarationsData: JSON.stringify([{ name: 'lookup' }]) });
+  const functionCall = { name: 'lookup', args: {} };
+  const rateLimit = new Error('Resource exhausted');
+  rateLimit.status = 429;
+
+  // A function call round, then a rate limit error, then the answer
+  const responses = [
+    { functionCalls: [functionCall], candidates: [{ content: { role: 'model', parts: [{ functionCall: functionCall }] } }] },
+    rateLimit,
+    textResponse('answer')
+  ];
+  const contents = [];
+  api.models.generateContent = async request => {
+    contents.push(request.contents.length);
+    const response = responses[contents.length - 1];
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+
+  const onSend = messages => {
+    if (messages[2]) {
+      setTimeout(() => receive(node, { functionCall: { callId: messages[2].functionCall.callId }, payload: 'found' }), 1);
+    }
+  };
+  const { outputs } = await receive(node, { payload: ['question'] }, onSend);
+  const item = outputs[0][0].payload[0];
+
+  assert.strictEqual(item.success, true);
+  assert.strictEqual(item.text, 'answer');
+  assert.deepStrictEqual(contents, [1, 3, 1]);
+});
+
+run('Testing batch mode...');
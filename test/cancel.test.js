@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for cancelling in-flight requests with msg.cancel and on close
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive, close, untilAborted } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content', 'gemini-embed-content');
+
+function createGenerateNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', ...config });
+}
+
+// Stub generateContent to hang until its request is aborted, recording the prompts it was called with
+function stubHangingRequests() {
+  const prompts = [];
+  api.models.generateContent = request => {
+    prompts.push(request.contents[0].parts[0].text);
+    return untilAborted(request.config.abortSignal);
+  };
+  return prompts;
+}
+
+// Wait until the stub has been called the given number of times
+async function whenCalled(prompts, count) {
+  while (prompts.length < count) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+check('msg.cancel true aborts every running request and reports how many', async () => {
+  api.reset();
+  const prompts = stubHangingRequests();
+  const node = createGenerateNode();
+
+  const first = receive(node, { payload: 'one' });
+  const second = receive(node, { payload: 'two' });
+  await whenCalled(prompts, 2);
+
+  const { outputs } = await receive(node, { cancel: true });
+  assert.deepStrictEqual(outputs[0][0].payload, { cancelled: 2 });
+
+  for (const result of await Promise.all([first, second])) {
+    assert.strictEqual(result.outputs[0].length, 0);
+    assert.strictEqual(result.outputs[1][0].error.code, 'CANCELLED');
+    assert.strictEqual(result.outputs[1][0].error.message, 'Request cancelled');
+  }
+});
+
+check('msg.cancel with _msgid or topic only aborts the matching request', async () => {
+  api.reset();
+  const prompts = stubHangingRequests();
+  const node = createGenerateNode();
+
+  const byId = receive(node, { _msgid: 'abc', payload: 'one' });
+  const byTopic = receive(node, { topic: 'reports', payload: 'two' });
+  await whenCalled(prompts, 2);
+
+  let { outputs } = await receive(node, { cancel: { _msgid: 'abc' } });
+  assert.deepStrictEqual(outputs[0][0].payload, { cancelled: 1 });
+  assert.strictEqual((await byId).outputs[1][0]._msgid, 'abc');
+
+  ({ outputs } = await receive(node, { cancel: { topic: 'other' } }));
+  assert.deepStrictEqual(outputs[0][0].payload, { cancelled: 0 });
+
+  ({ outputs } = await receive(node, { cancel: { topic: 'reports' } }));
+  assert.deepStrictEqual(outputs[0][0].payload, { cancelled: 1 });
+  assert.strictEqual((await byTopic).outputs[1][0].error.code, 'CANCELLED');
+});
+
+check('rejects msg.cancel values that name no requests instead of cancelling everything', async () => {
+  api.reset();
+  const prompts = stubHangingRequests();
+  const node = createGenerateNode();
+
+  const pending = receive(node, { payload: 'one' });
+  await whenCalled(prompts, 1);
+
+  for (const cancel of [{}, { id: 'abc' }, 'all']) {
+    const { outputs } = await receive(node, { cancel: cancel });
+    assert.strictEqual(outputs[0].length, 0);
+    assert.match(outputs[1][0].error.message, /Invalid msg.cancel/);
+  }
+  assert.strictEqual(node.requests.requests.size, 1);
+
+  await receive(node, { cancel: true });
+  assert.strictEqual((await pending).outputs[1][0].error.code, 'CANCELLED');
+});
+
+check('stops a streamed response between chunks', async () => {
+  api.reset();
+  const node = createGenerateNode({ mode: 'streaming' });
+  api.models.generateContentStream = async () => (async function* () {
+    yield { text: 'first' };
+    await receive(node, { cancel: true });
+    yield { text: 'second' };
+  })();
+
+  const { outputs } = await receive(node, { payload: 'Hi' });
+
+  assert.deepStrictEqual(outputs[0].map(msg => msg.payload), ['first']);
+  assert.strictEqual(outputs[1][0].error.code, 'CANCELLED');
+});
+
+check('closing the node aborts running requests without sending anything', async () => {
+  api.reset();
+  const prompts = stubHangingRequests();
+  const node = createGenerateNode();
+
+  const pending = receive(node, { payload: 'one' });
+  await whenCalled(prompts, 1);
+  await close(node);
+
+  const { outputs, error } = await pending;
+  assert.deepStrictEqual(outputs, [[], [], []]);
+  assert.strictEqual(error, null);
+});
+
+check('cancels embedding requests the same way', async () => {
+  api.reset();
+  let started = false;
+  api.models.embedContent = request => {
+    started = true;
+    return untilAborted(request.config.abortSignal);
+  };
+  const node = createNode(RED, 'gemini-embed-content', { model: 'gemini-embedding-001' });
+
+  const pending = receive(node, { payload: 'text' });
+  while (!started) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+  await receive(node, { cancel: true });
+
+  assert.strictEqual((await pending).outputs[1][0].error.code, 'CANCELLED');
+});
+
+run('Testing request cancellation...');
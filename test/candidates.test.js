@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for multiple candidates and output selection in gemini-generate-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+function createCandidatesNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', {
+    mode: 'single',
+    modelSelection: 'gemini-2.5-flash',
+    candidateCount: '3',
+    ...config
+  });
+}
+
+// A response with one candidate per text, given average logprobs in order
+function candidatesResponse(texts, avgLogprobs = []) {
+  return {
+    text: texts[0],
+    candidates: texts.map((text, i) => ({
+      content: { role: 'model', parts: [{ text: text }] },
+      finishReason: 'STOP',
+      avgLogprobs: avgLogprobs[i]
+    })),
+    usageMetadata: { totalTokenCount: 20 }
+  };
+}
+
+check('requests the configured number of candidates and lists them all, marking the selected one', async () => {
+  api.reset();
+  let request;
+  api.models.generateContent = async r => {
+    request = r;
+    return candidatesResponse(['Paris', 'It is Paris', 'Paris, France']);
+  };
+
+  const { outputs } = await receive(createCandidatesNode(), { payload: 'Capital of France?' });
+  const msg = outputs[0][0];
+
+  assert.strictEqual(request.config.candidateCount, 3);
+  assert.strictEqual(msg.payload, 'Paris');
+  assert.deepStrictEqual(msg.candidates.map(candidate => [candidate.index, candidate.text, candidate.selected]), [
+    [0, 'Paris', true],
+    [1, 'It is Paris', false],
+    [2, 'Paris, France', false]
+  ]);
+});
+
+check('selects the longest candidate or the one with the highest average logprob', async () => {
+  api.reset();
+  api.models.generateContent = async () => candidatesResponse(['short', 'the longest one', 'medium'], [-0.9, -0.5, -0.1]);
+  const node = createCandidatesNode({ candidateSelection: 'longest' });
+
+  let { outputs } = await receive(node, { payload: 'Hi' });
+  assert.strictEqual(outputs[0][0].payload, 'the longest one');
+
+  ({ outputs } = await receive(node, { payload: 'Hi', candidateSelection: 'logprob' }));
+  assert.strictEqual(outputs[0][0].payload, 'medium');
+});
+
+check('majority voting compares JSON answers by value and reports the votes', async () => {
+  api.reset();
+  api.models.generateContent = async () => candidatesResponse(['{"a": 1, "b": 2}', '{"c": 3}', '{"b":2,"a":1}']);
+
+  const { outputs } = await receive(createCandidatesNode({ candidateSelection: 'majority' }), { payload: 'Hi' });
+  const msg = outputs[0][0];
+
+  assert.strictEqual(msg.payload, '{"a": 1, "b": 2}');
+  assert.deepStrictEqual(msg.candidates.map(candidate => candidate.votes), [2, 1, 2]);
+});
+
+check('keeps only the selected candidate in the chat history', async () => {
+  api.reset();
+  const requests = [];
+  api.models.generateContent = async request => {
+    requests.push(request.contents.map(content => content.parts[0].text));
+    return candidatesResponse(['a', 'bbb', 'cc']);
+  };
+
+  const node = createCandidatesNode({ mode: 'chat', candidateSelection: 'longest' });
+  await receive(node, { topic: 'room', payload: 'first' });
+  await receive(node, { topic: 'room', payload: 'second' });
+
+  assert.deepStrictEqual(requests[1], ['first', 'bbb', 'second']);
+});
+
+check('rejects unknown strategies and multiple candidates with streaming', async () => {
+  api.reset();
+
+  let { outputs } = await receive(createCandidatesNode({ candidateSelection: 'random' }), { payload: 'Hi' });
+  assert.match(outputs[1][0].error.message, /Unknown candidate selection 'random'/);
+
+  ({ outputs } = await receive(createCandidatesNode({ mode: 'streaming' }), { payload: 'Hi' }));
+  assert.match(outputs[1][0].error.message, /Multiple candidates are not supported with streaming responses/);
+});
+
+run('Testing multiple candidates...');
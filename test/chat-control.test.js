@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for chat session control messages of gemini-generate-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+function createChatNode() {
+  return createNode(RED, 'gemini-generate-content', {
+    mode: 'chat',
+    modelSelection: 'gemini-2.5-flash',
+    passthroughProperties: true
+  });
+}
+
+// Send a control message and return the result sent on the first output
+async function command(node, chat, msg = {}) {
+  const { outputs } = await receive(node, { ...msg, chat: chat });
+  return outputs[0].length > 0 ? outputs[0][0].payload : outputs[1][0].error;
+}
+
+check('imports a session in either history form and answers get and export with it', async () => {
+  api.reset();
+  const node = createChatNode();
+
+  const info = await command(node, {
+    action: 'import',
+    sessionId: 'support',
+    history: [{ role: 'user', text: 'Hi' }, { role: 'model', parts: [{ text: 'Hello!' }] }]
+  });
+  assert.strictEqual(info.sessionId, 'support');
+  assert.strictEqual(info.historyLength, 2);
+  assert.strictEqual(info.turns, 1);
+  assert.ok(info.createdAt);
+
+  const exported = await command(node, { action: 'export', sessionId: 'support' });
+  assert.deepStrictEqual(exported.history, [
+    { role: 'user', parts: [{ text: 'Hi' }] },
+    { role: 'model', parts: [{ text: 'Hello!' }] }
+  ]);
+  assert.deepStrictEqual(await command(node, { action: 'get', sessionId: 'support' }), exported);
+});
+
+check('continues an imported session on the next chat message', async () => {
+  api.reset();
+  let contents;
+  api.models.generateContent = async request => {
+    contents = request.contents.slice();
+    return textResponse('Fine, thanks');
+  };
+
+  const node = createChatNode();
+  await command(node, { action: 'import', history: [{ role: 'user', text: 'Hi' }, { role: 'model', text: 'Hello!' }] }, { topic: 'room' });
+  const { outputs } = await receive(node, { topic: 'room', payload: 'How are you?' });
+
+  assert.strictEqual(outputs[0][0].payload, 'Fine, thanks');
+  assert.deepStrictEqual(contents.map(content => content.parts[0].text), ['Hi', 'Hello!', 'How are you?']);
+  assert.strictEqual(outputs[0][0].chat.historyLength, 4);
+});
+
+check('lists sessions without their history', async () => {
+  api.reset();
+  const node = createChatNode();
+  await command(node, { action: 'import', sessionId: 'a', history: [{ role: 'user', text: 'one' }] });
+  await command(node, { action: 'import', sessionId: 'b', history: [] });
+
+  const sessions = await command(node, { action: 'list' });
+  assert.deepStrictEqual(sessions.map(session => [session.sessionId, session.historyLength]), [['a', 1], ['b', 0]]);
+  assert.ok(sessions.every(session => session.history === undefined));
+});
+
+check('resets one session, or all of them', async () => {
+  api.reset();
+  const node = createChatNode();
+  for (const sessionId of ['a', 'b', 'c']) {
+    await command(node, { action: 'import', sessionId: sessionId, history: [{ role: 'user', text: sessionId }] });
+  }
+
+  assert.deepStrictEqual(await command(node, { action: 'reset', sessionId: 'a' }), { sessionId: 'a', reset: true });
+  assert.deepStrictEqual((await command(node, { action: 'list' })).map(session => session.sessionId), ['b', 'c']);
+
+  assert.deepStrictEqual(await command(node, { action: 'reset', all: true }), { reset: true, sessions: 2 });
+  assert.deepStrictEqual(await command(node, { action: 'list' }), []);
+});
+
+check('sends unknown actions, missing sessions and invalid histories to the error output', async () => {
+  api.reset();
+  const node = createChatNode();
+
+  assert.match((await command(node, { action: 'rename' })).message, /Unknown chat action 'rename'/);
+  assert.strictEqual((await command(node, { action: 'get', sessionId: 'nope' })).message, "Chat session 'nope' not found");
+  assert.match((await command(node, { action: 'import', history: 'Hi' })).message, /must be an array/);
+  assert.strictEqual((await command(node, { action: 'import', history: [{ role: 'system', text: 'x' }] })).message,
+    "Chat history entry 0 must have role 'user' or 'model'");
+});
+
+run('Testing chat session control...');
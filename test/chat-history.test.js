@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for the chat history policies of gemini-generate-content
+ */
+
+const assert = require('assert');
+const HistoryUtils = require('../nodes/history-utils');
+const { api, createRuntime, createNode, receive, textResponse, untilAborted } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+function createChatNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', { mode: 'chat', modelSelection: 'gemini-2.5-flash', ...config });
+}
+
+const isSummaryRequest = request => request.contents.length === 1 && request.contents[0].parts[0].text.startsWith('Summarize the following conversation');
+
+// Stub generateContent, recording chat requests by the text of their contents and counting summary requests
+function stubChat() {
+  const calls = { chats: [], summaries: 0 };
+  api.models.generateContent = async request => {
+    if (isSummaryRequest(request)) {
+      calls.summaries++;
+      return textResponse(`summary ${calls.summaries}`);
+    }
+    calls.chats.push(request.contents.map(content => content.parts[0].text));
+    return textResponse(`reply ${calls.chats.length}`);
+  };
+  return calls;
+}
+
+// Send numbered chat messages to a session
+async function chat(node, from, to) {
+  for (let i = from; i <= to; i++) {
+    await receive(node, { topic: 'room', payload: `message ${i}` });
+  }
+}
+
+check('the sliding window keeps the most recent turns', async () => {
+  api.reset();
+  const calls = stubChat();
+
+  await chat(createChatNode({ historyPolicy: 'window', historyMaxTurns: '2' }), 1, 3);
+
+  assert.deepStrictEqual(calls.chats[2], ['message 2', 'reply 2', 'message 3']);
+});
+
+check('summarizing replaces older turns with one summary turn that counts towards the limit', async () => {
+  api.reset();
+  const calls = stubChat();
+  const node = createChatNode({ historyPolicy: 'summarize', historyMaxTurns: '4' });
+
+  await chat(node, 1, 5);
+  assert.strictEqual(calls.summaries, 1);
+  assert.deepStrictEqual(calls.chats[4], [
+    `${HistoryUtils.SUMMARY_PREFIX}\nsummary 1`, 'Understood. I will continue the conversation with that context.',
+    'message 4', 'reply 4',
+    'message 5'
+  ]);
+
+  // The next message fits without another summary
+  await chat(node, 6, 6);
+  assert.strictEqual(calls.summaries, 1);
+  assert.strictEqual(calls.chats[5].length, 7);
+});
+
+check('summarizing rejects turn limits that would summarize on every message', async () => {
+  api.reset();
+  stubChat();
+
+  for (const historyMaxTurns of ['1', '2']) {
+    const { outputs } = await receive(createChatNode({ historyPolicy: 'summarize', historyMaxTurns: historyMaxTurns }), { payload: 'Hi' });
+    assert.match(outputs[1][0].error.message, /needs Max Turns of at least 3/);
+  }
+
+  // A token limit alone is fine
+  const { outputs } = await receive(createChatNode({ historyPolicy: 'summarize', historyMaxTokens: '1000' }), { payload: 'Hi' });
+  assert.strictEqual(outputs[0][0].payload, 'reply 1');
+});
+
+check('the summary request is cancelled and timed out with the message', async () => {
+  api.reset();
+  const calls = stubChat();
+  const node = createChatNode({ historyPolicy: 'summarize', historyMaxTurns: '3' });
+  await chat(node, 1, 3);
+
+  let signal;
+  api.models.generateContent = request => {
+    signal = request.config.abortSignal;
+    return untilAborted(signal);
+  };
+
+  const { outputs } = await receive(node, { topic: 'room', payload: 'message 4', timeout: 0.05 });
+
+  assert.ok(signal.aborted);
+  assert.strictEqual(outputs[1][0].error.code, 'TIMEOUT');
+  assert.strictEqual(calls.chats.length, 3);
+});
+
+run('Testing chat history policies...');
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for streamed replies in chat mode of gemini-generate-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+function createStreamingChatNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', {
+    mode: 'chat',
+    streamChat: true,
+    modelSelection: 'gemini-2.5-flash',
+    passthroughProperties: true,
+    ...config
+  });
+}
+
+// Stream the given chunk texts, throwing instead of the chunk when it is an Error
+function streamOf(chunks) {
+  return async function* () {
+    for (const chunk of chunks) {
+      if (chunk instanceof Error) {
+        throw chunk;
+      }
+      yield { text: chunk, candidates: [{ content: { role: 'model', parts: [{ text: chunk }] } }] };
+    }
+  };
+}
+
+check('sends each chunk, then the complete reply marked as the final message', async () => {
+  api.reset();
+  api.models.generateContentStream = async () => streamOf(['Hel', 'lo', '!'])();
+
+  const { outputs } = await receive(createStreamingChatNode(), { topic: 'room', payload: 'Hi' });
+  const messages = outputs[0];
+
+  assert.deepStrictEqual(messages.map(msg => msg.payload), ['Hel', 'lo', '!', 'Hello!']);
+  assert.deepStrictEqual(messages.slice(0, 3).map(msg => msg.streaming.isPartial), [true, true, true]);
+  assert.strictEqual(messages[1].streaming.fullText, 'Hello');
+
+  const final = messages[3];
+  assert.strictEqual(final.streaming.isComplete, true);
+  assert.strictEqual(final.streaming.totalChunks, 3);
+  assert.deepStrictEqual(final.chat, { sessionId: 'room', historyLength: 2 });
+});
+
+check('keeps the complete streamed reply in the session history for the next message', async () => {
+  api.reset();
+  const requests = [];
+  api.models.generateContentStream = async request => {
+    requests.push(request.contents.map(content => `${content.role}: ${content.parts[0].text}`));
+    return streamOf(['Fine', ', thanks'])();
+  };
+
+  const node = createStreamingChatNode();
+  await receive(node, { topic: 'room', payload: 'Hi' });
+  await receive(node, { topic: 'room', payload: 'And you?' });
+
+  assert.deepStrictEqual(requests[1], ['user: Hi', 'model: Fine, thanks', 'user: And you?']);
+});
+
+check('leaves the history unchanged when the stream fails part way', async () => {
+  api.reset();
+  let chunks = ['Par', new Error('Stream broke')];
+  const requests = [];
+  api.models.generateContentStream = async request => {
+    requests.push(request.contents.length);
+    return streamOf(chunks)();
+  };
+
+  const node = createStreamingChatNode();
+  const { outputs } = await receive(node, { topic: 'room', payload: 'Hi' });
+  assert.strictEqual(outputs[1][0].error.message, 'Stream broke');
+
+  chunks = ['Hello'];
+  await receive(node, { topic: 'room', payload: 'Hi again' });
+  assert.deepStrictEqual(requests, [1, 1]);
+});
+
+check('rejects function calling, which needs the complete reply', async () => {
+  api.reset();
+  const node = createStreamingChatNode({ functionDeclarationsData: JSON.stringify([{ name: 'get_weather' }]) });
+
+  const { outputs } = await receive(node, { payload: 'Weather?' });
+
+  assert.match(outputs[1][0].error.message, /Function calling is not supported with streaming responses/);
+});
+
+check('chat requests get the same generation settings as the other modes', async () => {
+  api.reset();
+  const configs = {};
+  api.models.generateContentStream = async request => {
+    configs.streamed = request.config;
+    return streamOf(['ok'])();
+  };
+  api.models.generateContent = async request => {
+    configs.single = request.config;
+    return { text: 'ok', candidates: [{ content: { role: 'model', parts: [{ text: 'ok' }] } }] };
+  };
+  const settings = { temperature: '0.3', topP: '0.9', topK: '20', maxOutputTokens: '256', seed: '7' };
+
+  await receive(createStreamingChatNode(settings), { payload: 'Hi' });
+  await receive(createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', ...settings }), { payload: 'Hi' });
+
+  const withoutSignal = ({ abortSignal, ...rest }) => rest;
+  assert.deepStrictEqual(withoutSignal(configs.streamed), withoutSignal(configs.single));
+  assert.deepStrictEqual(withoutSignal(configs.streamed), { temperature: 0.3, topP: 0.9, topK: 20, maxOutputTokens: 256, seed: 7 });
+  assert.ok(configs.streamed.abortSignal);
+});
+
+run('Testing streaming chat...');
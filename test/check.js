@@ -0,0 +1,40 @@
+/**
+ * Minimal helpers for the unit tests, reporting in the same format as the smoke test
+ */
+
+const tests = [];
+
+// Register a check; fn may be async and fails by throwing (e.g. from node's assert)
+function check(name, fn) {
+  tests.push({ name: name, fn: fn });
+}
+
+// Run the registered checks in order, print the results and exit with the outcome
+async function run(title) {
+  const errors = [];
+  console.log(`🔍 ${title}\n`);
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`  ✓ ${test.name}`);
+    } catch (e) {
+      console.log(`  ✗ ${test.name} - ${e.message}`);
+      errors.push(`${test.name}: ${e.message}`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(50));
+  if (errors.length === 0) {
+    console.log(`✅ All ${tests.length} checks passed!`);
+    process.exit(0);
+  } else {
+    console.log(`❌ ${errors.length} error(s) found:\n`);
+    errors.forEach((error, i) => {
+      console.log(`  ${i + 1}. ${error}`);
+    });
+    process.exit(1);
+  }
+}
+
+module.exports = { check, run };
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the media fetcher, run against local HTTP servers
+ */
+
+const assert = require('assert');
+const http = require('http');
+const FetchUtils = require('../nodes/fetch-utils');
+const { check, run } = require('./check');
+
+// Start a server on a free local port; each server is a separate origin
+function serve(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+// Send a byte every interval until the client goes away
+function trickle(res, interval) {
+  res.writeHead(200, { 'Content-Type': 'image/png' });
+  const timer = setInterval(() => res.write('x'), interval);
+  res.on('close', () => clearInterval(timer));
+}
+
+// Base URLs of the two test servers
+let main;
+let other;
+
+check('fetch returns the body, a specific Content-Type and the URL', async () => {
+  const result = await FetchUtils.fetch(`${main}/image`);
+  assert.strictEqual(result.data.toString(), 'image-bytes');
+  assert.strictEqual(result.mimeType, 'image/png');
+  assert.strictEqual(result.url, `${main}/image`);
+});
+
+check('fetch ignores generic content types', async () => {
+  const result = await FetchUtils.fetch(`${main}/binary`);
+  assert.strictEqual(result.mimeType, null);
+});
+
+check('fetch follows relative redirects and reports the final URL', async () => {
+  const result = await FetchUtils.fetch(`${main}/redirect`);
+  assert.strictEqual(result.data.toString(), 'image-bytes');
+  assert.strictEqual(result.url, `${main}/image`);
+});
+
+check('fetch keeps credentials on same-origin redirects', async () => {
+  const result = await FetchUtils.fetch(`${main}/redirect-headers`, { headers: { Authorization: 'Bearer t', Cookie: 'c=1', 'X-Trace': 'abc' } });
+  assert.deepStrictEqual(JSON.parse(result.data), { authorization: 'Bearer t', cookie: 'c=1', trace: 'abc' });
+});
+
+check('fetch strips credentials when a redirect changes origin', async () => {
+  const result = await FetchUtils.fetch(`${main}/cross-origin`, { headers: { Authorization: 'Bearer t', Cookie: 'c=1', 'X-Trace': 'abc' } });
+  assert.deepStrictEqual(JSON.parse(result.data), { trace: 'abc' });
+});
+
+check('fetch stops after too many redirects', async () => {
+  await assert.rejects(FetchUtils.fetch(`${main}/loop`), error => error.code === 'FETCH_FAILED' && /Too many redirects/.test(error.message));
+});
+
+check('fetch rejects HTTP errors with the status', async () => {
+  await assert.rejects(FetchUtils.fetch(`${main}/missing`), error => error.code === 'FETCH_FAILED' && error.details.status === 404);
+});
+
+check('fetch rejects invalid URLs and unsupported protocols', async () => {
+  await assert.rejects(FetchUtils.fetch('not a url'), error => error.code === 'FETCH_FAILED' && /Invalid URL/.test(error.message));
+  await assert.rejects(FetchUtils.fetch('ftp://example.com/file'), error => error.code === 'FETCH_FAILED' && /Unsupported protocol/.test(error.message));
+  await assert.rejects(FetchUtils.fetch(`${main}/to-file`), error => error.code === 'FETCH_FAILED' && /unsupported protocol file:/.test(error.message));
+});
+
+check('fetch enforces maxBytes from Content-Length', async () => {
+  await assert.rejects(FetchUtils.fetch(`${main}/large`, { maxBytes: 1024 }), error => error.code === 'FETCH_TOO_LARGE' && error.details.maxBytes === 1024);
+});
+
+check('fetch enforces maxBytes while streaming bodies without a length', async () => {
+  await assert.rejects(FetchUtils.fetch(`${main}/chunked`, { maxBytes: 1024 }), error => error.code === 'FETCH_TOO_LARGE');
+  const result = await FetchUtils.fetch(`${main}/chunked`, { maxBytes: 4096 });
+  assert.strictEqual(result.data.length, 2000);
+});
+
+check('fetch times out idle connections', async () => {
+  await assert.rejects(FetchUtils.fetch(`${main}/stall`, { timeout: 0.2 }), error => error.code === 'TIMEOUT' && error.details.timeout === 0.2);
+});
+
+check('fetch enforces the total timeout on a server trickling data', async () => {
+  const started = Date.now();
+  await assert.rejects(FetchUtils.fetch(`${main}/trickle`, { timeout: 1, totalTimeout: 0.5 }), error => error.code === 'TIMEOUT' && error.details.totalTimeout === 0.5);
+  assert.ok(Date.now() - started < 2000);
+});
+
+check('fetch is aborted by its signal', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(FetchUtils.fetch(`${main}/trickle`, { signal: controller.signal }), error => error.name === 'AbortError');
+});
+
+check('parseHeaders accepts objects and JSON and rejects anything else', () => {
+  assert.deepStrictEqual(FetchUtils.parseHeaders(''), {});
+  assert.deepStrictEqual(FetchUtils.parseHeaders({ A: '1' }), { A: '1' });
+  assert.deepStrictEqual(FetchUtils.parseHeaders('{"A":"1"}'), { A: '1' });
+  assert.throws(() => FetchUtils.parseHeaders('{'), /Invalid headers JSON/);
+  assert.throws(() => FetchUtils.parseHeaders('[1]'), /must be an object/);
+});
+
+(async () => {
+  other = await serve((req, res) => {
+    res.end(JSON.stringify({ authorization: req.headers.authorization, cookie: req.headers.cookie, trace: req.headers['x-trace'] }));
+  });
+
+  main = await serve((req, res) => {
+    switch (req.url) {
+      case '/image':
+        res.writeHead(200, { 'Content-Type': 'image/png; charset=binary' });
+        res.end('image-bytes');
+        break;
+      case '/binary':
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end('data');
+        break;
+      case '/redirect':
+        res.writeHead(302, { Location: '/image' });
+        res.end();
+        break;
+      case '/redirect-headers':
+        res.writeHead(301, { Location: '/headers' });
+        res.end();
+        break;
+      case '/headers':
+        res.end(JSON.stringify({ authorization: req.headers.authorization, cookie: req.headers.cookie, trace: req.headers['x-trace'] }));
+        break;
+      case '/cross-origin':
+        res.writeHead(302, { Location: `${other}/headers` });
+        res.end();
+        break;
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+        break;
+      case '/to-file':
+        res.writeHead(302, { Location: 'file:///etc/passwd' });
+        res.end();
+        break;
+      case '/large':
+        res.writeHead(200, { 'Content-Length': 4096 });
+        res.end(Buffer.alloc(4096));
+        break;
+      case '/chunked':
+        res.writeHead(200);
+        res.write(Buffer.alloc(1000));
+        res.end(Buffer.alloc(1000));
+        break;
+      case '/stall':
+        res.writeHead(200);
+        res.write('x');
+        break;
+      case '/trickle':
+        trickle(res, 100);
+        break;
+      default:
+        res.writeHead(404, 'Not Found');
+        res.end();
+    }
+  });
+
+  // run() exits when the checks are done, which also stops the servers
+  run('Testing fetch-utils...');
+})();
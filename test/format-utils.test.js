@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for response post-processing: code fences, JSON extraction and Markdown conversion
+ */
+
+const assert = require('assert');
+const FormatUtils = require('../nodes/format-utils');
+const { check, run } = require('./check');
+
+check('stripCodeFences removes fence lines and keeps the code and surrounding text', () => {
+  assert.strictEqual(FormatUtils.stripCodeFences('```json\n{"a": 1}\n```'), '{"a": 1}');
+  assert.strictEqual(FormatUtils.stripCodeFences('Here:\n~~~\ncode\n~~~\nDone'), 'Here:\ncode\nDone');
+  assert.strictEqual(FormatUtils.stripCodeFences('  ```python  \nprint(1)\n```\n'), 'print(1)');
+});
+
+check('stripCodeFences leaves inline backticks and unfenced text alone', () => {
+  assert.strictEqual(FormatUtils.stripCodeFences('Use `npm test` here'), 'Use `npm test` here');
+  assert.strictEqual(FormatUtils.stripCodeFences('say ```hi``` twice'), 'say ```hi``` twice');
+});
+
+check('extractJson parses the first object or array around chatter', () => {
+  assert.deepStrictEqual(FormatUtils.extractJson('Sure! {"a": [1, 2]} Hope that helps {"b": 2}'), { a: [1, 2] });
+  assert.deepStrictEqual(FormatUtils.extractJson('Result:\n```json\n[{"id": 1}]\n```'), [{ id: 1 }]);
+});
+
+check('extractJson ignores brackets inside strings', () => {
+  assert.deepStrictEqual(FormatUtils.extractJson('x {"text": "a } and ] and \\" {"} y'), { text: 'a } and ] and " {' });
+});
+
+check('extractJson skips bracketed prose that is not JSON', () => {
+  assert.deepStrictEqual(FormatUtils.extractJson('[note: see below] {"ok": true}'), { ok: true });
+  assert.deepStrictEqual(FormatUtils.extractJson('{broken {"ok": true}'), { ok: true });
+});
+
+check('extractJson throws NO_JSON_FOUND with the text when there is no JSON', () => {
+  assert.throws(() => FormatUtils.extractJson('no json here'), error => error.code === 'NO_JSON_FOUND' && error.details.text === 'no json here');
+  assert.throws(() => FormatUtils.extractJson('{"unterminated": 1'), error => error.code === 'NO_JSON_FOUND');
+  assert.throws(() => FormatUtils.extractJson('a number 42 is not extracted'), error => error.code === 'NO_JSON_FOUND');
+});
+
+check('markdownToHtml converts headings, paragraphs and inline formatting', () => {
+  assert.strictEqual(FormatUtils.markdownToHtml('# Title\n\nSome **bold**, *em*, ~~old~~ and `a<b>`.\nNext line'),
+    '<h1>Title</h1>\n<p>Some <strong>bold</strong>, <em>em</em>, <del>old</del> and <code>a&lt;b&gt;</code>.<br>Next line</p>');
+});
+
+check('markdownToHtml keeps snake_case names and escapes code', () => {
+  assert.strictEqual(FormatUtils.markdownToHtml('Set max_output_tokens and _this_'), '<p>Set max_output_tokens and <em>this</em></p>');
+  assert.strictEqual(FormatUtils.markdownToHtml('```js\nif (a < b) {}\n```'), '<pre><code class="language-js">if (a &lt; b) {}</code></pre>');
+});
+
+check('markdownToHtml converts lists, quotes, tables and rules', () => {
+  assert.strictEqual(FormatUtils.markdownToHtml('- one\n- two\n\n1. first\n2. second'), '<ul><li>one</li><li>two</li></ul>\n<ol><li>first</li><li>second</li></ol>');
+  assert.strictEqual(FormatUtils.markdownToHtml('> quoted **text**'), '<blockquote><p>quoted <strong>text</strong></p></blockquote>');
+  assert.strictEqual(FormatUtils.markdownToHtml('| A | B |\n|---|:-:|\n| 1 | 2 |'), '<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+  assert.strictEqual(FormatUtils.markdownToHtml('a\n\n---\n\nb'), '<p>a</p>\n<hr>\n<p>b</p>');
+});
+
+check('markdownToHtml escapes raw HTML and drops unsafe link targets', () => {
+  assert.strictEqual(FormatUtils.markdownToHtml('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.strictEqual(FormatUtils.markdownToHtml('[site](https://example.com) [bad](javascript:void)'), '<p><a href="https://example.com">site</a> bad</p>');
+  assert.strictEqual(FormatUtils.markdownToHtml('![logo](/logo.png) ![x](data:image/png;base64,AA)'), '<p><img src="/logo.png" alt="logo"> x</p>');
+});
+
+check('markdownToText drops formatting but keeps list markers, link targets and code', () => {
+  const markdown = '## Steps\n\n1. Run `npm test`\n2. Read **the** [docs](https://example.com)\n\n```\ncode block\n```\n\n---\n\n> Note';
+  assert.strictEqual(FormatUtils.markdownToText(markdown), 'Steps\n\n1. Run npm test\n2. Read the docs (https://example.com)\n\ncode block\n\nNote');
+});
+
+check('markdownToText writes tables as pipe separated rows and bare links once', () => {
+  assert.strictEqual(FormatUtils.markdownToText('| A | B |\n|---|---|\n| *1* | 2 |'), 'A | B\n1 | 2');
+  assert.strictEqual(FormatUtils.markdownToText('[https://example.com](https://example.com)'), 'https://example.com');
+});
+
+run('Testing format-utils...');
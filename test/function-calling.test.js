@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for function calling through the flow in gemini-generate-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+const WEATHER = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } } }
+};
+
+function createFunctionNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', {
+    mode: 'single',
+    modelSelection: 'gemini-2.5-flash',
+    functionDeclarationsData: JSON.stringify([WEATHER]),
+    ...config
+  });
+}
+
+// A response asking for the given function calls
+function callResponse(functionCalls) {
+  return {
+    functionCalls: functionCalls,
+    candidates: [{ content: { role: 'model', parts: functionCalls.map(functionCall => ({ functionCall: functionCall })) } }]
+  };
+}
+
+// Stub generateContent to answer with each response in turn, recording copies of the requests
+function stubResponses(responses) {
+  const requests = [];
+  api.models.generateContent = async request => {
+    requests.push({ ...request, contents: request.contents.slice() });
+    return responses[requests.length - 1];
+  };
+  return requests;
+}
+
+// Answer function calls emitted on the third output with the result for their name
+function answerCalls(node, results) {
+  return messages => {
+    if (messages[2]) {
+      const call = messages[2].functionCall;
+      setTimeout(() => receive(node, { functionCall: { callId: call.callId }, payload: results[call.args.city] }), 1);
+    }
+  };
+}
+
+check('emits function calls on the third output and continues with their results', async () => {
+  api.reset();
+  const requests = stubResponses([
+    callResponse([{ id: 'call-1', name: 'get_weather', args: { city: 'Paris' } }]),
+    textResponse('It is sunny in Paris')
+  ]);
+  const node = createFunctionNode();
+
+  const { outputs } = await receive(node, { topic: 'weather', payload: 'Weather in Paris?' }, answerCalls(node, { Paris: { sky: 'sunny' } }));
+
+  const callMsg = outputs[2][0];
+  assert.strictEqual(callMsg.topic, 'weather');
+  assert.deepStrictEqual(callMsg.payload, { city: 'Paris' });
+  assert.deepStrictEqual({ ...callMsg.functionCall, callId: undefined }, { callId: undefined, id: 'call-1', name: 'get_weather', args: { city: 'Paris' } });
+  assert.strictEqual(outputs[0][0].payload, 'It is sunny in Paris');
+
+  assert.deepStrictEqual(requests[0].config.tools, [{ functionDeclarations: [{
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parametersJsonSchema: WEATHER.parameters
+  }] }]);
+  assert.deepStrictEqual(requests[1].contents.slice(1), [
+    { role: 'model', parts: [{ functionCall: { id: 'call-1', name: 'get_weather', args: { city: 'Paris' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { sky: 'sunny' }, id: 'call-1' } }] }
+  ]);
+  assert.strictEqual(node.pendingFunctionCalls.size, 0);
+});
+
+check('matches parallel call results by callId, whatever order they come back in', async () => {
+  api.reset();
+  const requests = stubResponses([
+    callResponse([{ name: 'get_weather', args: { city: 'Oslo' } }, { name: 'get_weather', args: { city: 'Rome' } }]),
+    textResponse('Cold in Oslo, warm in Rome')
+  ]);
+  const node = createFunctionNode();
+
+  // Answer the second call first, with scalar results
+  const calls = [];
+  const onSend = messages => {
+    if (messages[2]) {
+      calls.push(messages[2].functionCall);
+    }
+    if (calls.length === 2) {
+      setTimeout(() => {
+        receive(node, { functionCall: { callId: calls[1].callId }, payload: 25 });
+        receive(node, { functionCall: { callId: calls[0].callId }, payload: -3 });
+      }, 1);
+    }
+  };
+  await receive(node, { payload: 'Weather?' }, onSend);
+
+  assert.notStrictEqual(calls[0].callId, calls[1].callId);
+  assert.deepStrictEqual(requests[1].contents[2].parts.map(part => part.functionResponse.response), [{ result: -3 }, { result: 25 }]);
+});
+
+check('removes its abort listener once the result arrives', async () => {
+  api.reset();
+  let added = 0;
+  let removed = 0;
+  stubResponses([
+    callResponse([{ name: 'get_weather', args: { city: 'Paris' } }]),
+    callResponse([{ name: 'get_weather', args: { city: 'Lyon' } }]),
+    textResponse('done')
+  ]);
+  const generate = api.models.generateContent;
+  api.models.generateContent = request => {
+    const signal = request.config.abortSignal;
+    if (!signal.counted) {
+      signal.counted = true;
+      const add = signal.addEventListener.bind(signal);
+      const remove = signal.removeEventListener.bind(signal);
+      signal.addEventListener = (type, listener, options) => {
+        added++;
+        add(type, listener, options);
+      };
+      signal.removeEventListener = (type, listener, options) => {
+        removed++;
+        remove(type, listener, options);
+      };
+    }
+    return generate(request);
+  };
+  const node = createFunctionNode();
+
+  const { outputs } = await receive(node, { payload: 'Weather?' }, answerCalls(node, { Paris: 'sunny', Lyon: 'rain' }));
+
+  assert.strictEqual(outputs[0][0].payload, 'done');
+  assert.strictEqual(added, 2);
+  assert.strictEqual(removed, 2);
+});
+
+check('fails the request when a function result does not arrive in time', async () => {
+  api.reset();
+  stubResponses([callResponse([{ name: 'get_weather', args: { city: 'Paris' } }])]);
+  const node = createFunctionNode({ functionTimeout: '0.05' });
+
+  const { outputs } = await receive(node, { payload: 'Weather?' });
+
+  assert.strictEqual(outputs[1][0].error.message, "Timed out after 0.05s waiting for result of function 'get_weather'");
+  assert.strictEqual(node.pendingFunctionCalls.size, 0);
+
+  // A late result no longer has a call to go to
+  const late = await receive(node, { functionCall: { callId: outputs[2][0].functionCall.callId }, payload: 'sunny' });
+  assert.match(late.outputs[1][0].error.message, /No pending function call with ID/);
+});
+
+check('stops waiting for function results when the request is cancelled', async () => {
+  api.reset();
+  stubResponses([callResponse([{ name: 'get_weather', args: { city: 'Paris' } }])]);
+  const node = createFunctionNode();
+
+  const onSend = messages => {
+    if (messages[2]) {
+      setTimeout(() => receive(node, { cancel: true }), 1);
+    }
+  };
+  const { outputs } = await receive(node, { payload: 'Weather?' }, onSend);
+
+  assert.strictEqual(outputs[1][0].error.code, 'CANCELLED');
+  assert.strictEqual(node.pendingFunctionCalls.size, 0);
+});
+
+check('gives up after the configured number of function calling rounds', async () => {
+  api.reset();
+  const call = callResponse([{ name: 'get_weather', args: { city: 'Paris' } }]);
+  stubResponses([call, call, call]);
+  const node = createFunctionNode({ maxFunctionIterations: '2' });
+
+  const { outputs } = await receive(node, { payload: 'Weather?' }, answerCalls(node, { Paris: 'sunny' }));
+
+  assert.strictEqual(outputs[1][0].error.message, 'Function calling exceeded 2 iterations without a final response');
+});
+
+run('Testing function calling...');
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for the gemini-cache config node and its use by gemini-generate-content
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { api, createRuntime, createNode, receive, close, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-cache', 'gemini-generate-content');
+
+const HOUR = 60 * 60 * 1000;
+
+// Stub the caches API, recording its calls. Caches expire in an hour unless given an expiry.
+function stubCaches(expireTime) {
+  const calls = [];
+  let created = 0;
+  api.caches.create = async request => {
+    calls.push(['create', request]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { name: `cachedContents/${++created}`, expireTime: expireTime || new Date(Date.now() + HOUR).toISOString() };
+  };
+  api.caches.update = async request => {
+    calls.push(['update', request]);
+    return { name: request.name, expireTime: new Date(Date.now() + 2 * HOUR).toISOString() };
+  };
+  api.caches.delete = async request => {
+    calls.push(['delete', request]);
+    return {};
+  };
+  return calls;
+}
+
+function createCacheNode(config = {}) {
+  return createNode(RED, 'gemini-cache', { model: 'gemini-2.5-flash', ttl: '600', ...config });
+}
+
+check('creates the cache from the configured text, files and system instruction', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const file = path.join(os.tmpdir(), `gemini-cache-test-${process.pid}.txt`);
+  fs.writeFileSync(file, 'Reference manual');
+
+  try {
+    const node = createCacheNode({
+      name: 'manual',
+      systemInstruction: 'Answer from the manual',
+      contentsData: JSON.stringify([{ type: 'text', value: 'Intro' }, { type: 'file', value: file }])
+    });
+    assert.strictEqual(await node.getCacheName(), 'cachedContents/1');
+
+    const request = calls[0][1];
+    assert.strictEqual(request.model, 'gemini-2.5-flash');
+    assert.strictEqual(request.config.displayName, 'manual');
+    assert.strictEqual(request.config.ttl, '600s');
+    assert.deepStrictEqual(request.config.systemInstruction, { parts: [{ text: 'Answer from the manual' }] });
+    assert.deepStrictEqual(request.config.contents[0].parts, [
+      { text: 'Intro' },
+      { inlineData: { data: Buffer.from('Reference manual').toString('base64'), mimeType: 'text/plain' } }
+    ]);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+check('shares one creation between concurrent requests and reuses the cache afterwards', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const node = createCacheNode();
+
+  const names = await Promise.all([node.getCacheName(), node.getCacheName(), node.getCacheName()]);
+  assert.deepStrictEqual(names, ['cachedContents/1', 'cachedContents/1', 'cachedContents/1']);
+  assert.strictEqual(await node.getCacheName(), 'cachedContents/1');
+  assert.deepStrictEqual(calls.map(call => call[0]), ['create']);
+});
+
+check('recreates an expired cache and extends the TTL on use when configured', async () => {
+  api.reset();
+  let calls = stubCaches(new Date(Date.now() + 30000).toISOString());
+  const node = createCacheNode();
+  await node.getCacheName();
+
+  // Expiring within a minute counts as expired
+  calls = stubCaches();
+  assert.strictEqual(await node.getCacheName(), 'cachedContents/1');
+  assert.strictEqual(calls[calls.length - 1][0], 'create');
+
+  const refreshing = createCacheNode({ refreshOnUse: true });
+  await refreshing.getCacheName();
+  calls = stubCaches();
+  await refreshing.getCacheName();
+  assert.deepStrictEqual(calls.map(call => call[0]), ['update']);
+  assert.deepStrictEqual(calls[0][1].config, { ttl: '600s' });
+});
+
+check('answers create, refresh, info and delete actions', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const node = createCacheNode();
+
+  assert.strictEqual((await node.handleAction('create')).name, 'cachedContents/1');
+  assert.strictEqual((await node.handleAction('refresh')).name, 'cachedContents/1');
+  assert.strictEqual((await node.handleAction('info')).name, 'cachedContents/1');
+  assert.deepStrictEqual(await node.handleAction('delete'), { name: 'cachedContents/1', deleted: true });
+  assert.deepStrictEqual(await node.handleAction('delete'), { name: null, deleted: false });
+  await assert.rejects(node.handleAction('purge'), /Unknown cache action 'purge'/);
+  assert.deepStrictEqual(calls.map(call => call[0]), ['create', 'update', 'delete']);
+});
+
+check('deletes the cache on close only when configured', async () => {
+  api.reset();
+  const calls = stubCaches();
+
+  const keeping = createCacheNode();
+  await keeping.getCacheName();
+  await close(keeping);
+
+  const deleting = createCacheNode({ deleteOnClose: true });
+  await deleting.getCacheName();
+  await close(deleting);
+
+  assert.deepStrictEqual(calls.map(call => call[0]), ['create', 'create', 'delete']);
+  assert.deepStrictEqual(calls[2][1], { name: 'cachedContents/2' });
+});
+
+check('generate-content requests reference the cache of their cache node', async () => {
+  api.reset();
+  stubCaches();
+  let request;
+  api.models.generateContent = async r => {
+    request = r;
+    return textResponse('From the manual');
+  };
+
+  const cache = createCacheNode();
+  const node = createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', cache: cache.id });
+  const { outputs } = await receive(node, { payload: 'What does chapter 2 say?' });
+
+  assert.strictEqual(outputs[0][0].payload, 'From the manual');
+  assert.strictEqual(request.config.cachedContent, 'cachedContents/1');
+});
+
+check('generate-content rejects a cache created for another model or a system instruction of its own', async () => {
+  api.reset();
+  stubCaches();
+  const cache = createCacheNode();
+
+  const otherModel = createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-pro', cache: cache.id });
+  let { outputs } = await receive(otherModel, { payload: 'Hi' });
+  assert.match(outputs[1][0].error.message, /Context cache was created for model 'gemini-2.5-flash'/);
+
+  const withInstruction = createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', cache: cache.id });
+  ({ outputs } = await receive(withInstruction, { payload: 'Hi', systemInstruction: 'Be brief' }));
+  assert.match(outputs[1][0].error.message, /System instruction cannot be set on a request that uses a context cache/);
+});
+
+check('deletes the cache it replaces, and only warns when that fails', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const node = createCacheNode();
+
+  await node.handleAction('create');
+  await node.handleAction('create');
+  assert.deepStrictEqual(calls.map(call => call[0]), ['create', 'delete', 'create']);
+  assert.deepStrictEqual(calls[1][1], { name: 'cachedContents/1' });
+
+  api.caches.delete = async () => {
+    throw new Error('Permission denied');
+  };
+  assert.strictEqual((await node.handleAction('create')).name, 'cachedContents/3');
+  assert.deepStrictEqual(node.warnings, ['Failed to delete replaced cached content cachedContents/2: Permission denied']);
+});
+
+check('detects the type of cached documents from their contents', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const file = path.join(os.tmpdir(), `gemini-cache-test-${process.pid}.txt`);
+  fs.writeFileSync(file, Buffer.from('%PDF-1.7\n'));
+
+  try {
+    await createCacheNode({ contentsData: JSON.stringify([{ type: 'file', value: file }]) }).getCacheName();
+    assert.strictEqual(calls[0][1].config.contents[0].parts[0].inlineData.mimeType, 'application/pdf');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+check('rejects cached documents of unknown type instead of sending them as text', async () => {
+  api.reset();
+  const calls = stubCaches();
+  const file = path.join(os.tmpdir(), `gemini-cache-test-${process.pid}.bin`);
+  fs.writeFileSync(file, Buffer.from([0x00, 0x01, 0x02, 0x03]));
+
+  try {
+    const node = createCacheNode({ contentsData: JSON.stringify([{ type: 'file', value: file }]) });
+    await assert.rejects(node.getCacheName(), { message: `Unknown type of cache file '${file}'. Use a file with a known extension, such as .pdf, .txt or .png` });
+    assert.strictEqual(calls.length, 0);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+run('Testing gemini-cache...');
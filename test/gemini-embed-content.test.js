@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for gemini-embed-content
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-embed-content');
+
+function createEmbedNode(config = {}) {
+  return createNode(RED, 'gemini-embed-content', { model: 'gemini-embedding-001', passthroughProperties: true, ...config });
+}
+
+// Stub embedContent to answer each input with [position in the request, batch number], recording the requests
+function stubEmbeddings() {
+  const requests = [];
+  api.models.embedContent = async request => {
+    requests.push(request);
+    return { embeddings: request.contents.map((content, i) => ({ values: [i, requests.length] })) };
+  };
+  return requests;
+}
+
+check('embeds a single input as one vector and an array as one vector per item', async () => {
+  api.reset();
+  const requests = stubEmbeddings();
+  const node = createEmbedNode();
+
+  let { outputs } = await receive(node, { payload: 'hello' });
+  assert.deepStrictEqual(outputs[0][0].payload, [0, 1]);
+  assert.deepStrictEqual(requests[0].contents, [{ parts: [{ text: 'hello' }] }]);
+
+  ({ outputs } = await receive(node, { payload: ['a', 'b'] }));
+  assert.deepStrictEqual(outputs[0][0].payload, [[0, 2], [1, 2]]);
+  assert.strictEqual(outputs[0][0].embeddingCount, 2);
+  assert.strictEqual(outputs[0][0].dimensions, 2);
+});
+
+check('splits large inputs into batches and keeps the vectors in input order', async () => {
+  api.reset();
+  const requests = stubEmbeddings();
+
+  const { outputs } = await receive(createEmbedNode({ batchSize: '2' }), { payload: ['a', 'b', 'c', 'd', 'e'] });
+
+  assert.deepStrictEqual(requests.map(request => request.contents.length), [2, 2, 1]);
+  assert.deepStrictEqual(outputs[0][0].payload, [[0, 1], [1, 1], [0, 2], [1, 2], [0, 3]]);
+  assert.strictEqual(outputs[0][0].batches, 3);
+});
+
+check('passes the task type, dimensionality and document title, with msg overrides', async () => {
+  api.reset();
+  const requests = stubEmbeddings();
+  const node = createEmbedNode({ taskType: 'RETRIEVAL_DOCUMENT', outputDimensionality: '768', title: 'Manual' });
+
+  await receive(node, { payload: 'text' });
+  assert.strictEqual(requests[0].config.taskType, 'RETRIEVAL_DOCUMENT');
+  assert.strictEqual(requests[0].config.outputDimensionality, 768);
+  assert.strictEqual(requests[0].config.title, 'Manual');
+
+  // Titles only apply to retrieval documents
+  await receive(node, { payload: 'text', taskType: 'RETRIEVAL_QUERY', outputDimensionality: 256 });
+  assert.strictEqual(requests[1].config.taskType, 'RETRIEVAL_QUERY');
+  assert.strictEqual(requests[1].config.outputDimensionality, 256);
+  assert.strictEqual(requests[1].config.title, undefined);
+});
+
+check('normalizes vectors and outputs Float32Array when configured', async () => {
+  api.reset();
+  api.models.embedContent = async () => ({ embeddings: [{ values: [3, 4] }] });
+
+  const { outputs } = await receive(createEmbedNode({ normalize: true, outputType: 'float32' }), { payload: 'text' });
+  const vector = outputs[0][0].payload;
+
+  assert.ok(vector instanceof Float32Array);
+  assert.deepStrictEqual(Array.from(vector).map(value => Math.round(value * 10) / 10), [0.6, 0.8]);
+  assert.strictEqual(outputs[0][0].normalized, true);
+});
+
+check('passes part objects and content objects for multimodal models', async () => {
+  api.reset();
+  const requests = stubEmbeddings();
+  const image = { inlineData: { data: 'AAAA', mimeType: 'image/png' } };
+
+  await receive(createEmbedNode({ model: 'multimodal-embedding' }), { payload: [image, { parts: [{ text: 'caption' }, image] }] });
+
+  assert.deepStrictEqual(requests[0].contents, [{ parts: [image] }, { parts: [{ text: 'caption' }, image] }]);
+});
+
+check('detects the MIME type of inline media inputs and rejects unknown data', async () => {
+  api.reset();
+  const requests = stubEmbeddings();
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64');
+  const node = createEmbedNode({ model: 'multimodal-embedding' });
+
+  await receive(node, { payload: [{ inlineData: { data: png } }, { parts: [{ text: 'caption' }] }] });
+  assert.deepStrictEqual(requests[0].contents[0], { parts: [{ inlineData: { data: png, mimeType: 'image/png' } }] });
+
+  const { outputs } = await receive(node, { payload: [{ inlineData: { data: Buffer.from('????').toString('base64') } }] });
+  assert.strictEqual(outputs[1][0].error.message, 'Input 0 has inline data of unknown type. Set inlineData.mimeType');
+});
+
+check('sends empty or invalid inputs and incomplete responses to the error output', async () => {
+  api.reset();
+  api.models.embedContent = async () => ({ embeddings: [{ values: [1] }] });
+  const node = createEmbedNode();
+
+  let { outputs } = await receive(node, { payload: ['ok', '  '] });
+  assert.strictEqual(outputs[1][0].error.message, 'Input 1 is empty');
+
+  ({ outputs } = await receive(node, { payload: [42] }));
+  assert.match(outputs[1][0].error.message, /Input 0 must be a string/);
+
+  ({ outputs } = await receive(node, { payload: ['a', 'b'] }));
+  assert.strictEqual(outputs[1][0].error.message, 'Expected 2 embeddings but received 1');
+});
+
+run('Testing gemini-embed-content...');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for grounding sources and citation insertion
+ */
+
+const assert = require('assert');
+const GroundingUtils = require('../nodes/grounding-utils');
+const { check, run } = require('./check');
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+const metadata = (supports, chunks) => ({
+  groundingChunks: chunks || [
+    { web: { uri: 'https://a.example', title: 'A' } },
+    { web: { uri: 'https://b.example', title: 'B' } }
+  ],
+  groundingSupports: supports
+});
+
+const support = (endIndex, indices) => ({ segment: { endIndex: endIndex }, groundingChunkIndices: indices });
+
+check('getSources numbers web and retrieved sources, falling back to the URI as title', () => {
+  assert.deepStrictEqual(GroundingUtils.getSources({
+    groundingChunks: [
+      { web: { uri: 'https://a.example', title: 'A' } },
+      { retrievedContext: { uri: 'gs://bucket/doc' } },
+      {}
+    ]
+  }), [
+    { number: 1, title: 'A', uri: 'https://a.example' },
+    { number: 2, title: 'gs://bucket/doc', uri: 'gs://bucket/doc' },
+    { number: 3, title: 'Source 3', uri: null }
+  ]);
+  assert.deepStrictEqual(GroundingUtils.getSources(null), []);
+});
+
+check('addCitations inserts markers after each segment and appends the sources', () => {
+  const text = 'Sky is blue. Grass is green.';
+  const result = GroundingUtils.addCitations(text, metadata([support(12, [0]), support(28, [1, 0])]));
+  assert.strictEqual(result, 'Sky is blue.[1] Grass is green.[1][2]\n\nSources:\n1. [A](https://a.example)\n2. [B](https://b.example)');
+});
+
+check('addCitations treats end indices as UTF-8 byte offsets', () => {
+  const first = 'Café crème brûlée. ';
+  const text = `${first}日本語の文。`;
+  const result = GroundingUtils.addCitations(text, metadata([support(byteLength(first) - 1, [0]), support(byteLength(text), [1])]));
+  assert.ok(result.startsWith('Café crème brûlée.[1] 日本語の文。[2]\n\nSources:'), result);
+});
+
+check('addCitations never splits a multi-byte character', () => {
+  const text = 'a😀b';
+  const result = GroundingUtils.addCitations(text, metadata([support(2, [0])]));
+  assert.ok(result.startsWith('a😀[1]b'), result);
+});
+
+check('addCitations merges supports ending at the same offset and clamps offsets past the end', () => {
+  const text = 'Fact.';
+  const result = GroundingUtils.addCitations(text, metadata([support(5, [1]), support(5, [0, 1]), support(99, [0])]));
+  assert.ok(result.startsWith('Fact.[1][2]\n\n'), result);
+});
+
+check('addCitations ignores invalid chunk indices and missing segments', () => {
+  const text = 'Fact.';
+  const result = GroundingUtils.addCitations(text, metadata([support(5, [7, -1]), { groundingChunkIndices: [0] }]));
+  assert.strictEqual(result, 'Fact.\n\nSources:\n1. [A](https://a.example)\n2. [B](https://b.example)');
+});
+
+check('addCitations lists sources without a URI by title only', () => {
+  const result = GroundingUtils.addCitations('Fact.', metadata([support(5, [0])], [{ retrievedContext: { title: 'Manual' } }]));
+  assert.strictEqual(result, 'Fact.[1]\n\nSources:\n1. Manual');
+});
+
+check('addCitations leaves ungrounded responses and non-text data unchanged', () => {
+  assert.strictEqual(GroundingUtils.addCitations('Fact.', metadata([])), 'Fact.');
+  assert.strictEqual(GroundingUtils.addCitations('Fact.', { groundingSupports: [support(5, [0])] }), 'Fact.');
+  const data = { answer: 1 };
+  assert.strictEqual(GroundingUtils.addCitations(data, metadata([support(5, [0])])), data);
+});
+
+run('Testing grounding-utils...');
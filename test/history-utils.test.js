@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for chat history turn splitting, token estimation and trimming
+ */
+
+const assert = require('assert');
+const HistoryUtils = require('../nodes/history-utils');
+const { check, run } = require('./check');
+
+const user = (text) => ({ role: 'user', parts: [{ text: text }] });
+const model = (text) => ({ role: 'model', parts: [{ text: text }] });
+
+check('splitTurns starts a turn at each user message', () => {
+  const turns = HistoryUtils.splitTurns([user('a'), model('b'), user('c'), model('d')]);
+  assert.deepStrictEqual(turns, [[user('a'), model('b')], [user('c'), model('d')]]);
+});
+
+check('splitTurns keeps function calls and responses with their turn', () => {
+  const call = { role: 'model', parts: [{ functionCall: { name: 'lookup', args: {} } }] };
+  const response = { role: 'user', parts: [{ functionResponse: { name: 'lookup', response: { ok: true } } }] };
+  const turns = HistoryUtils.splitTurns([user('a'), call, response, model('b'), user('c')]);
+  assert.strictEqual(turns.length, 2);
+  assert.deepStrictEqual(turns[0], [user('a'), call, response, model('b')]);
+});
+
+check('splitTurns puts leading model contents in a turn of their own', () => {
+  assert.deepStrictEqual(HistoryUtils.splitTurns([model('hi'), user('a')]), [[model('hi')], [user('a')]]);
+  assert.deepStrictEqual(HistoryUtils.splitTurns(undefined), []);
+});
+
+check('estimateTokens counts ~4 characters per token and 258 per media part', () => {
+  const contents = [{ role: 'user', parts: [{ text: '12345' }, { inlineData: { mimeType: 'image/png', data: '' } }, { fileData: { fileUri: 'x' } }] }];
+  assert.strictEqual(HistoryUtils.estimateTokens(contents), 2 + 258 + 258);
+  assert.strictEqual(HistoryUtils.estimateTokens([]), 0);
+});
+
+check('countTurnsWithinLimits applies the turn limit from the end', () => {
+  const turns = HistoryUtils.splitTurns([user('a'), model('b'), user('c'), model('d'), user('e')]);
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 2, 0), 2);
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 0, 0), 3);
+});
+
+check('countTurnsWithinLimits applies the token limit but always keeps the latest turn', () => {
+  const turns = [[user('x'.repeat(40))], [user('x'.repeat(40))], [user('x'.repeat(400))]];
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 0, 10), 1);
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 0, 109), 1);
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 0, 110), 2);
+  assert.strictEqual(HistoryUtils.countTurnsWithinLimits(turns, 0, 120), 3);
+});
+
+check('trimContents drops the oldest turns first', () => {
+  const contents = [user('x'.repeat(400)), model('y'.repeat(400)), user('latest')];
+  const trimmed = HistoryUtils.trimContents(contents, 150, HistoryUtils.estimateTokens(contents));
+  assert.deepStrictEqual(trimmed, [user('latest')]);
+});
+
+check('trimContents cuts the longest text of the latest turn without changing the input', () => {
+  const contents = [{ role: 'user', parts: [{ text: 'question' }, { text: 'd'.repeat(4000) }] }];
+  const trimmed = HistoryUtils.trimContents(contents, 500, 1002);
+  assert.strictEqual(trimmed[0].parts[0].text, 'question');
+  assert.ok(trimmed[0].parts[1].text.length <= 4000 - 500 * 4, `kept ${trimmed[0].parts[1].text.length} characters`);
+  assert.strictEqual(contents[0].parts[1].text.length, 4000);
+});
+
+check('toTranscript renders text, media and function parts', () => {
+  const transcript = HistoryUtils.toTranscript([[
+    { role: 'user', parts: [{ text: 'look' }, { inlineData: { mimeType: 'image/png', data: '' } }] },
+    { role: 'model', parts: [{ functionCall: { name: 'zoom', args: { level: 2 } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'zoom', response: { ok: true } } }] }
+  ]]);
+  assert.strictEqual(transcript, [
+    'User: look',
+    'User: [image/png attachment]',
+    'Model: [called zoom with {"level":2}]',
+    'User: [zoom returned {"ok":true}]'
+  ].join('\n'));
+});
+
+check('createSummaryTurn alternates roles and starts with the summary prefix', () => {
+  const turn = HistoryUtils.createSummaryTurn('they like tea');
+  assert.deepStrictEqual(turn.map(content => content.role), ['user', 'model']);
+  assert.ok(turn[0].parts[0].text.startsWith(HistoryUtils.SUMMARY_PREFIX));
+  assert.ok(turn[0].parts[0].text.endsWith('they like tea'));
+});
+
+run('Testing history-utils...');
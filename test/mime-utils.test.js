@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for magic-byte MIME type detection
+ */
+
+const assert = require('assert');
+const MimeUtils = require('../nodes/mime-utils');
+const { check, run } = require('./check');
+
+// Build a 16 byte header from byte values and strings
+const header = (...pieces) => {
+  const bytes = Buffer.concat(pieces.map(piece => typeof piece === 'string' ? Buffer.from(piece, 'latin1') : Buffer.from(piece)));
+  return Buffer.concat([bytes, Buffer.alloc(Math.max(0, 16 - bytes.length))]);
+};
+
+const SIGNATURES = {
+  'image/png': header([0x89], 'PNG\r\n\x1a\n'),
+  'image/jpeg': header([0xFF, 0xD8, 0xFF, 0xE0]),
+  'image/gif': header('GIF89a'),
+  'image/webp': header('RIFF', [0, 0, 0, 0], 'WEBPVP8 '),
+  'image/heic': header([0, 0, 0, 0x18], 'ftypheic'),
+  'image/heif': header([0, 0, 0, 0x18], 'ftypmif1'),
+  'video/mp4': header([0, 0, 0, 0x18], 'ftypisom'),
+  'video/quicktime': header([0, 0, 0, 0x14], 'ftypqt  '),
+  'video/webm': header([0x1A, 0x45, 0xDF, 0xA3]),
+  'audio/wav': header('RIFF', [0, 0, 0, 0], 'WAVEfmt '),
+  'audio/aiff': header('FORM', [0, 0, 0, 0], 'AIFF'),
+  'audio/mp3': header('ID3', [3, 0]),
+  'audio/ogg': header('OggS'),
+  'audio/flac': header('fLaC'),
+  'audio/aac': header([0xFF, 0xF1, 0x50, 0x80]),
+  'application/pdf': header('%PDF-1.7')
+};
+
+check('detect recognises every supported signature', () => {
+  Object.entries(SIGNATURES).forEach(([mimeType, data]) => {
+    assert.strictEqual(MimeUtils.detect(data), mimeType, `expected ${mimeType}`);
+  });
+});
+
+check('detect tells MP3 frames from AAC frames by their layer bits', () => {
+  assert.strictEqual(MimeUtils.detect(header([0xFF, 0xFB, 0x90, 0x64])), 'audio/mp3');
+  assert.strictEqual(MimeUtils.detect(header([0xFF, 0xF9, 0x50, 0x80])), 'audio/aac');
+});
+
+check('detect reads base64 strings and data URLs', () => {
+  const png = SIGNATURES['image/png'];
+  assert.strictEqual(MimeUtils.detect(png.toString('base64')), 'image/png');
+  assert.strictEqual(MimeUtils.detect(`data:application/octet-stream;base64,${png.toString('base64')}`), 'image/png');
+});
+
+check('detect returns null for unknown, short or missing data', () => {
+  assert.strictEqual(MimeUtils.detect(Buffer.from('plain text content')), null);
+  assert.strictEqual(MimeUtils.detect(header('RIFF', [0, 0, 0, 0], 'AVI ')), null);
+  assert.strictEqual(MimeUtils.detect(Buffer.from([0x89, 0x50])), null);
+  assert.strictEqual(MimeUtils.detect(''), null);
+  assert.strictEqual(MimeUtils.detect(null), null);
+});
+
+check('resolve prefers the explicit type, then the detected type, then the fallback', () => {
+  const jpeg = SIGNATURES['image/jpeg'];
+  assert.strictEqual(MimeUtils.resolve(jpeg, 'image/png', 'image/gif'), 'image/png');
+  assert.strictEqual(MimeUtils.resolve(jpeg, null, 'image/gif'), 'image/jpeg');
+  assert.strictEqual(MimeUtils.resolve(Buffer.from('hello world'), undefined, 'text/plain'), 'text/plain');
+});
+
+run('Testing mime-utils...');
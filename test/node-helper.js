@@ -0,0 +1,212 @@
+/**
+ * Minimal Node-RED runtime for the node tests, with @google/genai replaced by a stub.
+ * Tests set the API methods they expect on `api` (e.g. api.models.generateContent) and
+ * feed messages to a node with receive(), which resolves once the node calls done().
+ */
+
+const Module = require('module');
+const os = require('os');
+
+// Stubbed API methods shared by every GoogleGenAI client the nodes create
+const api = {
+  models: {},
+  caches: {},
+  files: {},
+  clients: [],
+
+  // Remove the stubbed methods between checks
+  reset() {
+    this.models = {};
+    this.caches = {};
+    this.files = {};
+    this.clients = [];
+  }
+};
+
+class GoogleGenAI {
+  constructor(options) {
+    this.apiKey = options.apiKey;
+    this.models = api.models;
+    this.caches = api.caches;
+    this.files = api.files;
+    api.clients.push(this);
+  }
+}
+
+// Serve the stub to every require('@google/genai'), so the tests don't need the SDK or network access
+const load = Module._load;
+Module._load = function(request) {
+  if (request === '@google/genai') {
+    return { GoogleGenAI: GoogleGenAI };
+  }
+  return load.apply(this, arguments);
+};
+
+// Context store with the get/set interface of node, flow and global context
+function createStore() {
+  const values = {};
+  return {
+    get: key => values[key],
+    set: (key, value) => {
+      values[key] = value;
+    },
+    keys: () => Object.keys(values)
+  };
+}
+
+function createRED() {
+  const types = {};
+  const nodes = {};
+  const flow = createStore();
+  const global = createStore();
+  let lastId = 0;
+
+  const RED = {
+    settings: { userDir: os.tmpdir() },
+
+    nodes: {
+      createNode(node, config) {
+        const handlers = {};
+        const context = createStore();
+        context.flow = flow;
+        context.global = global;
+
+        Object.assign(node, {
+          id: config.id,
+          type: config.type,
+          name: config.name,
+          handlers: handlers,
+          statuses: [],
+          logs: [],
+          warnings: [],
+          errors: [],
+          on: (event, handler) => {
+            (handlers[event] = handlers[event] || []).push(handler);
+          },
+          status: status => node.statuses.push(status),
+          log: message => node.logs.push(message),
+          warn: message => node.warnings.push(message),
+          error: (message, msg) => node.errors.push({ message: message, msg: msg }),
+          context: () => context
+        });
+        nodes[config.id] = node;
+      },
+      registerType(type, constructor) {
+        types[type] = constructor;
+      },
+      getNode(id) {
+        return nodes[id] || null;
+      }
+    },
+
+    util: {
+      generateId: () => (++lastId).toString(16).padStart(16, '0'),
+      cloneMessage: msg => structuredClone(msg),
+      getSetting: (node, name) => process.env[name],
+      setMessageProperty(msg, property, value) {
+        const path = property.split('.');
+        const last = path.pop();
+        const target = path.reduce((obj, key) => {
+          if (obj[key] === undefined || obj[key] === null || typeof obj[key] !== 'object') {
+            obj[key] = {};
+          }
+          return obj[key];
+        }, msg);
+        target[last] = value;
+        return true;
+      }
+    }
+  };
+
+  RED.types = types;
+  return RED;
+}
+
+/**
+ * Load node modules into a fresh runtime
+ * @param {...string} files - Node modules under nodes/, e.g. 'gemini-generate-content'
+ * @returns {Object} Runtime with the node types registered
+ */
+function createRuntime(...files) {
+  const RED = createRED();
+  files.forEach(file => require(`../nodes/${file}`)(RED));
+
+  // An API key config node, referenced as apiKey: 'key'
+  RED.nodes.createNode({ credentials: { apikey: 'test-key' } }, { id: 'key', type: 'gemini-api-key' });
+  return RED;
+}
+
+/**
+ * Create a node of a registered type
+ * @param {Object} RED - Runtime from createRuntime
+ * @param {string} type - Node type
+ * @param {Object} config - Node configuration, apiKey defaults to the test key
+ * @returns {Object} Node instance
+ */
+function createNode(RED, type, config = {}) {
+  const id = config.id || RED.util.generateId();
+  return new RED.types[type]({ apiKey: 'key', ...config, id: id, type: type });
+}
+
+/**
+ * Send a message to a node's input handler
+ * @param {Object} node - Node instance
+ * @param {Object} msg - Input message, given a _msgid if it has none
+ * @param {Function} [onSend] - Called with the outputs of each send as it happens
+ * @returns {Promise<Object>} { outputs: messages sent on each output, in order, error: error passed to done }
+ */
+function receive(node, msg, onSend) {
+  const outputs = [[], [], []];
+  const input = { _msgid: Math.random().toString(16).slice(2), ...msg };
+
+  return new Promise((resolve, reject) => {
+    const send = messages => {
+      messages.forEach((message, i) => {
+        if (message !== null && message !== undefined) {
+          outputs[i].push(...(Array.isArray(message) ? message : [message]));
+        }
+      });
+      if (onSend) {
+        onSend(messages);
+      }
+    };
+    const done = error => resolve({ outputs: outputs, error: error || null });
+
+    Promise.all(node.handlers.input.map(handler => handler(input, send, done))).catch(reject);
+  });
+}
+
+/**
+ * Run a node's close handlers
+ * @param {Object} node - Node instance
+ * @returns {Promise}
+ */
+function close(node) {
+  return Promise.all((node.handlers.close || []).map(handler => new Promise(resolve => {
+    if (handler.length > 0) {
+      handler(resolve);
+    } else {
+      handler();
+      resolve();
+    }
+  })));
+}
+
+// A text response as returned by generateContent
+function textResponse(text, extra = {}) {
+  return {
+    text: text,
+    candidates: [{ content: { role: 'model', parts: [{ text: text }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3, totalTokenCount: 8 },
+    ...extra
+  };
+}
+
+// Reject like an aborted API call once the request's signal aborts
+function untilAborted(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('This operation was aborted')), { once: true });
+  });
+}
+
+module.exports = { api, createRuntime, createNode, receive, close, textResponse, untilAborted };
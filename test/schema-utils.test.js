@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for structured output schema building, JSON Schema parsing and response validation
+ */
+
+const assert = require('assert');
+const SchemaUtils = require('../nodes/schema-utils');
+const { check, run } = require('./check');
+
+check('buildSchema returns null without properties', () => {
+  assert.strictEqual(SchemaUtils.buildSchema([]), null);
+  assert.strictEqual(SchemaUtils.buildSchema(undefined), null);
+});
+
+check('buildSchema keeps flat properties in order with required names', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'title', type: 'STRING', required: true },
+    { name: 'count', type: 'INTEGER' }
+  ]);
+  assert.deepStrictEqual(schema, {
+    type: 'OBJECT',
+    properties: { title: { type: 'STRING' }, count: { type: 'INTEGER' } },
+    propertyOrdering: ['title', 'count'],
+    required: ['title']
+  });
+});
+
+check('buildSchema nests dot paths in objects and marks them required on their parent', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'customer.name', type: 'STRING', required: true },
+    { name: 'customer.address.city', type: 'STRING' }
+  ]);
+  const customer = schema.properties.customer;
+  assert.strictEqual(customer.type, 'OBJECT');
+  assert.deepStrictEqual(customer.required, ['name']);
+  assert.deepStrictEqual(customer.properties.address.properties.city, { type: 'STRING' });
+  assert.strictEqual(schema.required, undefined);
+});
+
+check('buildSchema turns name[] segments into arrays of objects', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'lineItems[].sku', type: 'STRING', required: true },
+    { name: 'lineItems[].quantity', type: 'INTEGER' }
+  ]);
+  const lineItems = schema.properties.lineItems;
+  assert.strictEqual(lineItems.type, 'ARRAY');
+  assert.strictEqual(lineItems.items.type, 'OBJECT');
+  assert.deepStrictEqual(lineItems.items.propertyOrdering, ['sku', 'quantity']);
+  assert.deepStrictEqual(lineItems.items.required, ['sku']);
+});
+
+check('buildSchema sets the item type of a trailing [] and applies its definition', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'tags[]', type: 'STRING', enum: 'red, green', description: 'Colour tags', required: true }
+  ]);
+  assert.deepStrictEqual(schema.properties.tags, {
+    type: 'ARRAY',
+    items: { type: 'STRING', enum: ['red', 'green'], description: 'Colour tags' }
+  });
+  assert.strictEqual(schema.required, undefined);
+});
+
+check('buildSchema applies descriptions, enum values and nullable', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'status', type: 'STRING', description: 'Ticket status', enum: ['open', 'closed'], nullable: true }
+  ]);
+  assert.deepStrictEqual(schema.properties.status, { type: 'STRING', description: 'Ticket status', enum: ['open', 'closed'], nullable: true });
+});
+
+check('buildSchema rejects conflicting and invalid declarations', () => {
+  assert.throws(() => SchemaUtils.buildSchema([{ name: 'count', type: 'INTEGER', enum: '1,2' }]), /enum values but is not a string/);
+  assert.throws(() => SchemaUtils.buildSchema([
+    { name: 'customer', type: 'STRING' },
+    { name: 'customer.name', type: 'STRING' }
+  ]), /nested properties but is declared as STRING/);
+  assert.throws(() => SchemaUtils.buildSchema([
+    { name: 'items', type: 'OBJECT' },
+    { name: 'items[].sku', type: 'STRING' }
+  ]), /used as an array but declared as OBJECT/);
+  assert.throws(() => SchemaUtils.buildSchema([{ name: 'customer..name', type: 'STRING' }]), /Invalid property name/);
+});
+
+check('parseJsonSchema accepts objects and JSON strings', () => {
+  const schema = { type: 'object', properties: { a: { type: 'string' } } };
+  assert.strictEqual(SchemaUtils.parseJsonSchema(schema), schema);
+  assert.deepStrictEqual(SchemaUtils.parseJsonSchema(JSON.stringify(schema)), schema);
+});
+
+check('parseJsonSchema rejects invalid JSON and non-objects', () => {
+  assert.throws(() => SchemaUtils.parseJsonSchema('{type:'), /Invalid JSON Schema/);
+  assert.throws(() => SchemaUtils.parseJsonSchema('[1]'), /must be an object/);
+  assert.throws(() => SchemaUtils.parseJsonSchema(null), /must be an object/);
+});
+
+check('validate accepts values matching the API schema format', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'title', type: 'STRING', required: true },
+    { name: 'score', type: 'NUMBER', nullable: true },
+    { name: 'lineItems[].quantity', type: 'INTEGER', required: true }
+  ]);
+  assert.deepStrictEqual(SchemaUtils.validate({ title: 'a', score: null, lineItems: [{ quantity: 2 }] }, schema), []);
+  assert.deepStrictEqual(SchemaUtils.validate({ title: 'a', score: 1.5, lineItems: [] }, schema), []);
+});
+
+check('validate reports type, required and enum problems with their paths', () => {
+  const schema = SchemaUtils.buildSchema([
+    { name: 'title', type: 'STRING', required: true },
+    { name: 'status', type: 'STRING', enum: 'open,closed' },
+    { name: 'lineItems[].quantity', type: 'INTEGER', required: true }
+  ]);
+  assert.deepStrictEqual(SchemaUtils.validate({ status: 'done', lineItems: [{ quantity: 1.5 }, {}] }, schema), [
+    '$.title: is required',
+    '$.status: must be one of "open", "closed"',
+    '$.lineItems[0].quantity: expected integer but got number',
+    '$.lineItems[1].quantity: is required'
+  ]);
+  assert.deepStrictEqual(SchemaUtils.validate('text', schema), ['$: expected object but got string']);
+});
+
+check('validate supports common JSON Schema keywords', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      count: { type: 'integer', minimum: 1, maximum: 5 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      id: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+      kind: { const: 'ticket' }
+    },
+    additionalProperties: false
+  };
+  assert.deepStrictEqual(SchemaUtils.validate({ count: 3, tags: ['a'], id: 7, kind: 'ticket' }, schema), []);
+  assert.deepStrictEqual(SchemaUtils.validate({ count: 9, tags: ['a', 'b', 3], id: true, kind: 'x', extra: 1 }, schema), [
+    '$.count: must be at most 5',
+    '$.tags: must have at most 2 items',
+    '$.tags[2]: expected string but got integer',
+    '$.id: does not match any of the allowed schemas',
+    '$.kind: must be "ticket"',
+    '$.extra: is not allowed'
+  ]);
+});
+
+check('validate accepts integers for number types and type lists', () => {
+  assert.deepStrictEqual(SchemaUtils.validate(3, { type: 'number' }), []);
+  assert.deepStrictEqual(SchemaUtils.validate(null, { type: ['string', 'null'] }), []);
+  assert.deepStrictEqual(SchemaUtils.validate({ $ref: 1 }, { $ref: '#/definitions/x' }), []);
+});
+
+check('buildRepairPrompt lists the errors', () => {
+  const prompt = SchemaUtils.buildRepairPrompt(['$.title: is required', '$.count: must be at least 1']);
+  assert.ok(prompt.includes('- $.title: is required\n- $.count: must be at least 1'));
+  assert.ok(prompt.endsWith('Respond again with only the corrected JSON.'));
+});
+
+run('Testing schema-utils...');
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for environment variable lookups in Mustache templates
+ */
+
+const assert = require('assert');
+const { renderTemplate } = require('../nodes/template-utils');
+const { api, createRuntime, createNode, receive, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+// Stands in for the runtime, resolving env from the flow settings of the node
+const flowEnv = { REGION: 'flow region' };
+const runtime = { util: { getSetting: (node, name) => node.flowEnv[name] } };
+const node = { flowEnv: flowEnv, context: () => ({}) };
+
+check('resolves {{env.NAME}} through the runtime, including flow env', () => {
+  assert.strictEqual(renderTemplate('Answer for {{env.REGION}}', {}, 'prompt', node, runtime), 'Answer for flow region');
+  assert.strictEqual(renderTemplate('[{{env.MISSING}}]', {}, 'prompt', node, runtime), '[]');
+});
+
+check('falls back to the process environment without a runtime', () => {
+  process.env.TEMPLATE_TEST_REGION = 'process region';
+  try {
+    assert.strictEqual(renderTemplate('{{env.TEMPLATE_TEST_REGION}}', {}, 'prompt', node), 'process region');
+  } finally {
+    delete process.env.TEMPLATE_TEST_REGION;
+  }
+});
+
+check('a msg property named env still shadows the environment', () => {
+  assert.strictEqual(renderTemplate('{{env.REGION}}', { env: { REGION: 'msg region' } }, 'prompt', node, runtime), 'msg region');
+});
+
+check('nodes render prompts with the env of their flow', async () => {
+  api.reset();
+  const RED = createRuntime('gemini-generate-content');
+  RED.util.getSetting = (settingNode, name) => name === 'REGION' && settingNode.type === 'gemini-generate-content' ? 'flow region' : undefined;
+  let prompt;
+  api.models.generateContent = async request => {
+    prompt = request.contents[0].parts[0].text;
+    return textResponse('ok');
+  };
+
+  const generate = createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', prompt: 'Weather in {{env.REGION}}', promptType: 'str' });
+  await receive(generate, { payload: 'ignored' });
+
+  assert.strictEqual(prompt, 'Weather in flow region');
+});
+
+run('Testing template env lookups...');
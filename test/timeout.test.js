@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for per-request timeouts
+ */
+
+const assert = require('assert');
+const { api, createRuntime, createNode, receive, untilAborted, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content', 'gemini-embed-content');
+
+function createGenerateNode(config = {}) {
+  return createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash', ...config });
+}
+
+check('aborts a request once the configured timeout elapses', async () => {
+  api.reset();
+  api.models.generateContent = request => untilAborted(request.config.abortSignal);
+
+  const started = Date.now();
+  const { outputs } = await receive(createGenerateNode({ timeout: '0.05' }), { payload: 'Hi' });
+  const error = outputs[1][0].error;
+
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(error.code, 'TIMEOUT');
+  assert.strictEqual(error.message, 'Request timed out after 0.05s');
+  assert.deepStrictEqual(error.details, { reason: 'timeout', timeout: 0.05 });
+});
+
+check('msg.timeout overrides the configured timeout, and 0 turns it off', async () => {
+  api.reset();
+  api.models.generateContent = async request => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return request.config.abortSignal.aborted ? Promise.reject(new Error('aborted')) : textResponse('done');
+  };
+  const node = createGenerateNode({ timeout: '0.05' });
+
+  let { outputs } = await receive(node, { payload: 'Hi', timeout: 0 });
+  assert.strictEqual(outputs[0][0].payload, 'done');
+
+  ({ outputs } = await receive(createGenerateNode(), { payload: 'Hi', timeout: 0.05 }));
+  assert.strictEqual(outputs[1][0].error.code, 'TIMEOUT');
+});
+
+check('a request that completes in time is unaffected', async () => {
+  api.reset();
+  api.models.generateContent = async () => textResponse('quick');
+
+  const { outputs } = await receive(createGenerateNode({ timeout: '5' }), { payload: 'Hi' });
+
+  assert.strictEqual(outputs[0][0].payload, 'quick');
+});
+
+check('rejects invalid timeouts', async () => {
+  api.reset();
+
+  const { outputs } = await receive(createGenerateNode(), { payload: 'Hi', timeout: 'soon' });
+
+  assert.strictEqual(outputs[1][0].error.message, 'Invalid timeout: soon. Must be a number of seconds');
+});
+
+check('times out embedding requests the same way', async () => {
+  api.reset();
+  api.models.embedContent = request => untilAborted(request.config.abortSignal);
+
+  const { outputs } = await receive(createNode(RED, 'gemini-embed-content', { model: 'gemini-embedding-001', timeout: '0.05' }), { payload: 'text' });
+
+  assert.strictEqual(outputs[1][0].error.code, 'TIMEOUT');
+});
+
+run('Testing request timeouts...');
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for reuse of files uploaded to the Files API
+ */
+
+const assert = require('assert');
+const UploadUtils = require('../nodes/upload-utils');
+const { check, run } = require('./check');
+
+const HOUR = 60 * 60 * 1000;
+
+// A client whose uploads are ACTIVE right away and expire after the given time, counting the uploads
+function createClient(expiresInMs = 48 * HOUR) {
+  const client = {
+    uploads: 0,
+    files: {
+      upload: async () => {
+        client.uploads++;
+        return {
+          name: `files/${client.uploads}`,
+          uri: `https://example.com/files/${client.uploads}`,
+          state: 'ACTIVE',
+          expirationTime: new Date(Date.now() + expiresInMs).toISOString()
+        };
+      }
+    }
+  };
+  return client;
+}
+
+// The cache is shared by the whole module, so every check uploads with its own API key
+check('reuses the upload of identical content', async () => {
+  const client = createClient();
+
+  const first = await UploadUtils.uploadBuffer(client, 'key-reuse', Buffer.from('audio'), 'audio/mp3');
+  const second = await UploadUtils.uploadBuffer(client, 'key-reuse', Buffer.from('audio'), 'audio/mp3');
+
+  assert.strictEqual(client.uploads, 1);
+  assert.strictEqual(second.uri, first.uri);
+});
+
+check('uploads again when the file is close to expiring', async () => {
+  const client = createClient(30 * 60 * 1000);
+
+  await UploadUtils.uploadBuffer(client, 'key-expiry', Buffer.from('audio'), 'audio/mp3');
+  const second = await UploadUtils.uploadBuffer(client, 'key-expiry', Buffer.from('audio'), 'audio/mp3');
+
+  assert.strictEqual(client.uploads, 2);
+  assert.strictEqual(second.name, 'files/2');
+});
+
+check('forgets the oldest uploads once it holds the most files it remembers', async () => {
+  const client = createClient();
+
+  for (let i = 0; i <= UploadUtils.MAX_CACHED_FILES; i++) {
+    await UploadUtils.uploadBuffer(client, 'key-bound', Buffer.from(`file ${i}`), 'text/plain');
+  }
+  assert.strictEqual(client.uploads, UploadUtils.MAX_CACHED_FILES + 1);
+
+  // The newest file is still reused, the oldest is uploaded again
+  await UploadUtils.uploadBuffer(client, 'key-bound', Buffer.from(`file ${UploadUtils.MAX_CACHED_FILES}`), 'text/plain');
+  assert.strictEqual(client.uploads, UploadUtils.MAX_CACHED_FILES + 1);
+  await UploadUtils.uploadBuffer(client, 'key-bound', Buffer.from('file 0'), 'text/plain');
+  assert.strictEqual(client.uploads, UploadUtils.MAX_CACHED_FILES + 2);
+});
+
+check('a failed upload is not reused', async () => {
+  const client = createClient();
+  const upload = client.files.upload;
+  client.files.upload = async () => {
+    client.files.upload = upload;
+    throw new Error('Service unavailable');
+  };
+
+  await assert.rejects(UploadUtils.uploadBuffer(client, 'key-failed', Buffer.from('audio'), 'audio/mp3'), { message: 'Service unavailable' });
+  const file = await UploadUtils.uploadBuffer(client, 'key-failed', Buffer.from('audio'), 'audio/mp3');
+
+  assert.strictEqual(file.name, 'files/1');
+});
+
+run('Testing Files API uploads...');
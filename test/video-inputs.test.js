@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Node tests for video inputs of gemini-generate-content
+ */
+
+const assert = require('assert');
+const FetchUtils = require('../nodes/fetch-utils');
+const { api, createRuntime, createNode, receive, textResponse } = require('./node-helper');
+const { check, run } = require('./check');
+
+const RED = createRuntime('gemini-generate-content');
+
+// Record fetched URLs instead of downloading, answering with a few bytes of MP4
+const fetched = [];
+FetchUtils.fetch = async url => {
+  fetched.push(url);
+  return { data: Buffer.from('video'), mimeType: 'video/mp4', url: url };
+};
+
+// Send one message with the given multimodal inputs and return the media parts of the request
+async function mediaParts(multimodal) {
+  api.reset();
+  fetched.length = 0;
+  let parts;
+  api.models.generateContent = async request => {
+    parts = request.contents[0].parts.slice(1);
+    return textResponse('ok');
+  };
+
+  const node = createNode(RED, 'gemini-generate-content', { mode: 'single', modelSelection: 'gemini-2.5-flash' });
+  const { outputs } = await receive(node, { payload: 'Describe the video', multimodal: multimodal });
+  if (outputs[1].length > 0) {
+    throw new Error(outputs[1][0].error.message);
+  }
+  return parts;
+}
+
+check('references YouTube links given as a video URL instead of downloading them', async () => {
+  const parts = await mediaParts([
+    { type: 'video-url', value: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', videoMetadata: { startOffset: '1:30' } },
+    { type: 'video-url', value: 'https://youtu.be/dQw4w9WgXcQ' }
+  ]);
+
+  assert.deepStrictEqual(fetched, []);
+  assert.deepStrictEqual(parts, [
+    { fileData: { fileUri: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }, videoMetadata: { startOffset: '90s' } },
+    { fileData: { fileUri: 'https://youtu.be/dQw4w9WgXcQ' } }
+  ]);
+});
+
+check('downloads other video URLs', async () => {
+  const parts = await mediaParts([{ type: 'video-url', value: 'https://example.com/clip.mp4' }]);
+
+  assert.deepStrictEqual(fetched, ['https://example.com/clip.mp4']);
+  assert.deepStrictEqual(parts, [{ inlineData: { data: Buffer.from('video').toString('base64'), mimeType: 'video/mp4' } }]);
+});
+
+check('still rejects YouTube inputs that are not YouTube links', async () => {
+  await assert.rejects(mediaParts([{ type: 'video-youtube', value: 'https://example.com/clip.mp4' }]), /Not a YouTube URL/);
+});
+
+run('Testing video inputs...');